@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+Command line tool to inspect and operate on linkedlists, instead of reading the raw <id>_summary and <id>_<n> items in the AWS console.
+
+Usage: node cli.js <command> <list id> [arguments] --table <table> [--region <region>] [--endpoint <url>] [--max-element-per-page <n>] [--verbose]
+Commands:
+- create <id> [metadata json]: creates the list (idempotent), --stripes <n> to create a striped list
+- append <id> <value json>...: appends the values (one atomicAppend, or atomicBulkAppendBulk for several), a value that is not JSON is appended as { value: <text> }
+  --idempotency-key <key> to append a single value only once
+- show <id>: the summary (getListInfo) and the items of the current page (of each stripe for a striped list)
+- dump <id> <page number | summary>: the raw page, as stored
+- tail <id> [n]: the n (default 10) most recent items, oldest first. --follow keeps printing the new items (--interval <ms> between polls),
+  not supported on striped lists: follow each stripe (<id>_stripe_<n>) instead
+- page <id> [n] [--after <page_id>:<sequence_id>] [--oldest]: n (default 10) items, most recent first (oldest first with --oldest),
+  starting after the pointer, then prints the --after to pass to get the next ones. The pointers of a striped list are <stripe_id>:<page_id>:<sequence_id>
+--endpoint targets any DynamoDB compatible endpoint, like DynamoDB Local (http://localhost:8000).
+The logs of the linkedlist are hidden unless --verbose is given.
+*/
+
+'use strict';
+
+const scalableLinkedList = require('./scalable_linked_list');
+
+const usage = 'Usage: node cli.js <create|append|show|dump|tail|page> <list id> [arguments] --table <table> [--region <region>] [--endpoint <url>]';
+const booleanFlags = ['follow', 'oldest', 'verbose'];
+
+/* Splits the arguments in the command, its positional arguments and the --flags. */
+const parseArguments = function(argv) {
+    const positional = [];
+    const flags = {};
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i].indexOf('--') !== 0) {
+            positional.push(argv[i]);
+            continue;
+        }
+        const name = argv[i].substring(2);
+        if (booleanFlags.indexOf(name) >= 0) {
+            flags[name] = true;
+        }
+        else {
+            flags[name] = argv[i + 1];
+            i++;
+        }
+    }
+    return { command: positional[0], id: positional[1], args: positional.slice(2), flags: flags };
+}
+
+const parseValue = function(text) {
+    try {
+        const value = JSON.parse(text);
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return value;
+        }
+    }
+    catch (err) {
+        //Not JSON, appended as text
+    }
+    return { value: text };
+}
+
+const parsePointer = function(text) {
+    const parts = (text || '').split(':');
+    if (parts.length === 3) {
+        return { stripe_id: parseInt(parts[0]), page_id: parts[1], sequence_id: parts[2] };
+    }
+    if (parts.length !== 2) {
+        throw new Error('A pointer is <page_id>:<sequence_id> (<stripe_id>:<page_id>:<sequence_id> on a striped list), got: ' + text);
+    }
+    return { page_id: parts[0], sequence_id: parts[1] };
+}
+
+const formatPointer = function(item) {
+    const pointer = item.page_id + ':' + item.sequence_id;
+    return item.stripe_id !== undefined ? item.stripe_id + ':' + pointer : pointer;
+}
+
+const createStore = function(flags) {
+    if (!flags.table) {
+        throw new Error('--table is required');
+    }
+    var client = undefined;
+    if (flags.endpoint) {
+        const AWS = require('aws-sdk');
+        client = new AWS.DynamoDB.DocumentClient({ region: flags.region || 'us-east-1', endpoint: flags.endpoint });
+    }
+    return scalableLinkedList.createLinkedListStore({
+        region: flags.region,
+        tableName: flags.table,
+        client: client,
+        maxElementPerPage: flags['max-element-per-page'] ? parseInt(flags['max-element-per-page']) : undefined
+    });
+}
+
+const commands = {
+    create: function(store, parsed, print) {
+        const metadata = parsed.args[0] !== undefined ? JSON.parse(parsed.args[0]) : undefined;
+        const options = parsed.flags.stripes ? { stripes: parseInt(parsed.flags.stripes) } : undefined;
+        return store.idempotentCreate(parsed.id, metadata, options).then(function() {
+            print({ created: parsed.id });
+        }, function(err) {
+            if (err.code !== 'ConditionalCheckFailedException') {
+                throw err;
+            }
+            print({ created: parsed.id, alreadyExisted: true });
+        });
+    },
+    append: function(store, parsed, print) {
+        const values = parsed.args.map(parseValue);
+        if (values.length === 0) {
+            throw new Error('Nothing to append');
+        }
+        if (values.length === 1) {
+            return store.atomicAppend(parsed.id, values[0], { idempotencyKey: parsed.flags['idempotency-key'] }).then(print);
+        }
+        return store.atomicBulkAppendBulk(parsed.id, values).then(print);
+    },
+    show: function(store, parsed, print) {
+        return store.getListInfo(parsed.id).then(function(info) {
+            if (!info.stripes) {
+                return store.retrieve(parsed.id, info.currentPage, { includeRemoved: true }).then(function(currentPage) {
+                    print({ summary: info, currentPage: currentPage });
+                });
+            }
+            //The pages of the list itself stay empty, the items are in the stripes
+            return Promise.all(info.stripes.map(function(stripe) {
+                return store.retrieve(store.getStripeListId(parsed.id, stripe.stripe_id), stripe.currentPage, { includeRemoved: true }).then(function(currentPage) {
+                    return { stripe_id: stripe.stripe_id, currentPage: currentPage };
+                });
+            }))
+            .then(function(currentPages) {
+                print({ summary: info, currentPages: currentPages });
+            });
+        });
+    },
+    dump: function(store, parsed, print) {
+        if (parsed.args[0] === undefined) {
+            throw new Error('Which page? dump <id> <page number | summary>');
+        }
+        return store.getPage(parsed.id, '_' + parsed.args[0]).then(function(page) {
+            if (!page) {
+                throw new Error('Page ' + parsed.args[0] + ' of LinkedList ' + parsed.id + ' does not exist');
+            }
+            print(page);
+        });
+    },
+    tail: function(store, parsed, print) {
+        const numberOfItems = parseInt(parsed.args[0] || 10);
+        const checkNotStriped = !parsed.flags.follow ? Promise.resolve() : store.getListInfo(parsed.id).then(function(info) {
+            if (info.stripes) {
+                throw new Error('LinkedList ' + parsed.id + ' is striped, --follow each of its stripes instead: tail ' + store.getStripeListId(parsed.id, 0) + ' --follow');
+            }
+        });
+        return checkNotStriped.then(() => store.retrieveLastMostRecent(parsed.id, numberOfItems)).then(function(items) {
+            items.slice().reverse().forEach(print);
+            if (!parsed.flags.follow) {
+                return;
+            }
+            const lastPointer = items.length > 0 ? items[0] : undefined;
+            const watcher = store.watch(parsed.id, lastPointer, { pollIntervalInMs: parseInt(parsed.flags.interval || 1000) });
+            watcher.on('item', print);
+            watcher.on('error', err => console.error(err.message));
+            return new Promise(function(resolve) {
+                process.once('SIGINT', function() {
+                    watcher.stop();
+                    resolve();
+                });
+            });
+        });
+    },
+    page: function(store, parsed, print) {
+        const numberOfItems = parseInt(parsed.args[0] || 10);
+        const after = parsed.flags.after ? parsePointer(parsed.flags.after) : undefined;
+        var retrieval;
+        if (parsed.flags.oldest) {
+            retrieval = after ? store.retrieveNextOldest(parsed.id, after, numberOfItems) : store.retrieveFirstOldest(parsed.id, numberOfItems);
+        }
+        else {
+            retrieval = after ? store.retrieveNextMostRecent(parsed.id, after, numberOfItems) : store.retrieveLastMostRecent(parsed.id, numberOfItems);
+        }
+        return retrieval.then(function(items) {
+            items.forEach(print);
+            const next = items.length > 0 ? '--after ' + formatPointer(items[items.length - 1]) : 'no more items';
+            print({ next: next });
+        });
+    }
+};
+
+/* Runs the command, resolving once it is done. options (for tests): store to use instead of the table, print to collect the output. */
+const run = function(argv, options) {
+    options = options || {};
+    const print = options.print || (result => process.stdout.write(JSON.stringify(result, null, 2) + '\n'));
+    return Promise.resolve().then(function() {
+        const parsed = parseArguments(argv);
+        if (!commands[parsed.command] || !parsed.id) {
+            throw new Error(usage);
+        }
+        const store = options.store || createStore(parsed.flags);
+        return commands[parsed.command](store, parsed, print);
+    });
+}
+
+module.exports.run = run;
+module.exports.parseArguments = parseArguments;
+module.exports.parsePointer = parsePointer;
+module.exports.formatPointer = formatPointer;
+
+if (require.main === module) {
+    const parsed = parseArguments(process.argv.slice(2));
+    const log = console.log;
+    if (!parsed.flags.verbose) {
+        console.log = function() {};
+    }
+    run(process.argv.slice(2)).then(function() {
+        console.log = log;
+    }, function(err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
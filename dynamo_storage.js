@@ -0,0 +1,274 @@
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+Storage adapter backed by a DynamoDB table whose primary key is "id".
+This is the default storage used by scalable_linked_list when calling configureDynamoDB.
+Errors are the raw AWS errors, callers rely on their "code" (ConditionalCheckFailedException, ValidationException...).
+Every call goes through the DocumentClient of the adapter, so several adapters can target different regions/tables/endpoints in the same process.
+*/
+
+'use strict';
+
+/* client is optional, by default a DocumentClient is created for the region.
+onConsumedCapacity is optional, when given every request asks for its consumed capacity (ReturnConsumedCapacity)
+and onConsumedCapacity(operationName, capacityUnits) is called with it. */
+module.exports.create = function(region, tableName, client, onConsumedCapacity) {
+    //aws-sdk is only loaded when a DynamoDB table is used, the in-memory storage runs without it
+    const dynamoDb = client || new (require('aws-sdk').DynamoDB.DocumentClient)({ region: region });
+
+    const send = function(operationName, method, params) {
+        if (onConsumedCapacity) {
+            params.ReturnConsumedCapacity = 'TOTAL';
+        }
+        return dynamoDb[method](params).promise()
+            .then(function(res) {
+                if (onConsumedCapacity && res && res.ConsumedCapacity) {
+                    //Transactions report the capacity of each table
+                    const capacityUnits = [].concat(res.ConsumedCapacity).reduce((total, capacity) => total + capacity.CapacityUnits, 0);
+                    onConsumedCapacity(operationName, capacityUnits);
+                }
+                return res;
+            });
+    }
+
+    /* Returns the item, or undefined if it does not exist. Reads are strongly consistent.
+    specificFieldToFilterOn is optional, a field name or an array of field names. */
+    const getItem = function(itemId, specificFieldToFilterOn) {
+        const itemInfo = {
+            TableName: tableName,
+            Key: { 'id': itemId },
+            ConsistentRead: true
+        };
+        if (specificFieldToFilterOn) {
+            const fields = [].concat(specificFieldToFilterOn);
+            itemInfo.ProjectionExpression = fields.map((field, i) => '#f' + i).join(', ');
+            itemInfo.ExpressionAttributeNames = {};
+            fields.forEach(function(field, i) {
+                itemInfo.ExpressionAttributeNames['#f' + i] = field;
+            });
+        }
+        return send('getItem', 'get', itemInfo)
+            .then(function(data) {
+                var returnValue = undefined;
+                if (data && data.Item) {
+                    returnValue = data.Item;
+                }
+                return returnValue;
+            });
+    }
+
+    /* Fails with ConditionalCheckFailedException if an item with the same id already exists. */
+    const putItemIfAbsent = function(item) {
+        const itemInfo = {
+            TableName: tableName,
+            Item: item,
+            ConditionExpression: '#i <> :val', //CAS on the id
+            ExpressionAttributeNames: {'#i' : 'id'},
+            ExpressionAttributeValues: {':val' : item.id},
+            ReturnValues: 'ALL_OLD'
+        };
+        return send('putItemIfAbsent', 'put', itemInfo);
+    }
+
+    /* Fails with ValidationException if the item (or its list) does not exist. Returns all the new attributes. */
+    const appendToList = function(itemId, attributeName, values) {
+        const atomicAppendListUpdate = {
+            TableName: tableName,
+            Key: { 'id': itemId },
+            UpdateExpression : 'SET #attrName = list_append(#attrName, :attrValue)',
+            ExpressionAttributeNames : {
+            '#attrName' : attributeName
+            },
+            ExpressionAttributeValues : {
+            ':attrValue' : values
+            },
+            ReturnValues: 'ALL_NEW'
+        };
+        return send('appendToList', 'update', atomicAppendListUpdate)
+            .then(res => res.Attributes);
+    }
+
+    /* Fails with ConditionalCheckFailedException if the counter is not equal to expectedValue anymore. Returns the updated attributes. */
+    const incrementCounter = function(itemId, attributeName, expectedValue) {
+        const incrementUpdate = {
+            TableName: tableName,
+            Key: { 'id': itemId },
+            UpdateExpression: 'SET #counter = #counter + :one',
+            ConditionExpression: '#counter = :expected', //CAS on the counter
+            ExpressionAttributeNames: { '#counter': attributeName },
+            ExpressionAttributeValues: { ':one': 1, ':expected': expectedValue },
+            ReturnValues: 'UPDATED_NEW'
+        };
+        return send('incrementCounter', 'update', incrementUpdate)
+            .then(res => res.Attributes);
+    }
+
+    /* Sets the attributes of an existing item, if its current attributes match expectedAttributes (an undefined expected value means the attribute must not exist).
+    Fails with ConditionalCheckFailedException otherwise, or if the item does not exist. Returns all the new attributes. */
+    const updateItem = function(itemId, attributesToSet, expectedAttributes) {
+        const names = { '#i': 'id' };
+        const values = {};
+        const setExpressions = [];
+        const conditions = ['attribute_exists(#i)'];
+        Object.keys(attributesToSet).forEach(function(attributeName, i) {
+            names['#s' + i] = attributeName;
+            values[':s' + i] = attributesToSet[attributeName];
+            setExpressions.push('#s' + i + ' = :s' + i);
+        });
+        Object.keys(expectedAttributes || {}).forEach(function(attributeName, i) {
+            names['#c' + i] = attributeName;
+            if (expectedAttributes[attributeName] === undefined) {
+                conditions.push('attribute_not_exists(#c' + i + ')');
+            }
+            else {
+                values[':c' + i] = expectedAttributes[attributeName];
+                conditions.push('#c' + i + ' = :c' + i);
+            }
+        });
+        const update = {
+            TableName: tableName,
+            Key: { 'id': itemId },
+            UpdateExpression: 'SET ' + setExpressions.join(', '),
+            ConditionExpression: conditions.join(' AND '), //CAS on the expected attributes
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
+        };
+        return send('updateItem', 'update', update)
+            .then(res => res.Attributes);
+    }
+
+    /* Adds the increments to the number attributes and sets attributesToSet on an existing item, without any other condition.
+    Fails with ConditionalCheckFailedException if the item does not exist. Returns the updated attributes. */
+    const addToAttributes = function(itemId, increments, attributesToSet) {
+        const names = { '#i': 'id' };
+        const values = {};
+        const addExpressions = [];
+        const setExpressions = [];
+        Object.keys(increments).forEach(function(attributeName, i) {
+            names['#a' + i] = attributeName;
+            values[':a' + i] = increments[attributeName];
+            addExpressions.push('#a' + i + ' :a' + i);
+        });
+        Object.keys(attributesToSet || {}).forEach(function(attributeName, i) {
+            names['#s' + i] = attributeName;
+            values[':s' + i] = attributesToSet[attributeName];
+            setExpressions.push('#s' + i + ' = :s' + i);
+        });
+        const update = {
+            TableName: tableName,
+            Key: { 'id': itemId },
+            UpdateExpression: 'ADD ' + addExpressions.join(', ') + (setExpressions.length > 0 ? ' SET ' + setExpressions.join(', ') : ''),
+            ConditionExpression: 'attribute_exists(#i)', //ADD would create the item otherwise
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'UPDATED_NEW'
+        };
+        return send('addToAttributes', 'update', update)
+            .then(res => res.Attributes);
+    }
+
+    /* Replaces the element at index of the list attribute, if that element exists and its attributes match expectedElementAttributes
+    (an undefined expected value means the attribute must not exist). Fails with ConditionalCheckFailedException otherwise. Returns all the new attributes. */
+    const setListElement = function(itemId, attributeName, index, value, expectedElementAttributes) {
+        const element = '#l[' + parseInt(index) + ']';
+        const names = { '#l': attributeName };
+        const values = { ':v': value };
+        const conditions = ['attribute_exists(' + element + ')'];
+        Object.keys(expectedElementAttributes || {}).forEach(function(elementAttributeName, i) {
+            names['#e' + i] = elementAttributeName;
+            if (expectedElementAttributes[elementAttributeName] === undefined) {
+                conditions.push('attribute_not_exists(' + element + '.#e' + i + ')');
+            }
+            else {
+                values[':e' + i] = expectedElementAttributes[elementAttributeName];
+                conditions.push(element + '.#e' + i + ' = :e' + i);
+            }
+        });
+        const update = {
+            TableName: tableName,
+            Key: { 'id': itemId },
+            UpdateExpression: 'SET ' + element + ' = :v',
+            ConditionExpression: conditions.join(' AND '), //CAS on the element
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
+        };
+        return send('setListElement', 'update', update)
+            .then(res => res.Attributes);
+    }
+
+    /* Deleting an item that does not exist succeeds. */
+    const deleteItem = function(itemId) {
+        return send('deleteItem', 'delete', { TableName: tableName, Key: { 'id': itemId } });
+    }
+
+    /* Applies all the operations or none of them (TransactWriteItems), each operation on a different item:
+    - { type: 'putItemIfAbsent', item }
+    - { type: 'incrementCounter', itemId, attributeName, expectedValue }
+    - { type: 'appendToList', itemId, attributeName, values, expectedLength }: the list must still hold expectedLength elements
+    Fails with TransactionCanceledException if a condition does not hold, err.cancellationReasons then gives the reason of each operation
+    ('None', 'ConditionalCheckFailed', 'TransactionConflict'...). */
+    const transactWrite = function(operations) {
+        const transactItems = operations.map(function(operation) {
+            if (operation.type === 'putItemIfAbsent') {
+                return { Put: {
+                    TableName: tableName,
+                    Item: operation.item,
+                    ConditionExpression: 'attribute_not_exists(#i)',
+                    ExpressionAttributeNames: { '#i': 'id' }
+                } };
+            }
+            if (operation.type === 'incrementCounter') {
+                return { Update: {
+                    TableName: tableName,
+                    Key: { 'id': operation.itemId },
+                    UpdateExpression: 'SET #counter = #counter + :one',
+                    ConditionExpression: '#counter = :expected',
+                    ExpressionAttributeNames: { '#counter': operation.attributeName },
+                    ExpressionAttributeValues: { ':one': 1, ':expected': operation.expectedValue }
+                } };
+            }
+            if (operation.type === 'appendToList') {
+                return { Update: {
+                    TableName: tableName,
+                    Key: { 'id': operation.itemId },
+                    UpdateExpression: 'SET #attrName = list_append(#attrName, :attrValue)',
+                    ConditionExpression: 'size(#attrName) = :expectedLength',
+                    ExpressionAttributeNames: { '#attrName': operation.attributeName },
+                    ExpressionAttributeValues: { ':attrValue': operation.values, ':expectedLength': operation.expectedLength }
+                } };
+            }
+            throw new Error('Unknown transaction operation: ' + operation.type);
+        });
+        return send('transactWrite', 'transactWrite', { TransactItems: transactItems })
+            .then(() => ({}), function(err) {
+                if (err.code === 'TransactionCanceledException') {
+                    err.cancellationReasons = parseCancellationReasons(err.message, operations.length);
+                }
+                throw err;
+            });
+    }
+
+    return {
+        getItem: getItem,
+        putItemIfAbsent: putItemIfAbsent,
+        appendToList: appendToList,
+        incrementCounter: incrementCounter,
+        updateItem: updateItem,
+        addToAttributes: addToAttributes,
+        setListElement: setListElement,
+        deleteItem: deleteItem,
+        transactWrite: transactWrite
+    };
+}
+
+/* The DocumentClient only gives the cancellation reasons in the message: "... cancellation reasons for specific reasons [None, ConditionalCheckFailed]". */
+const parseCancellationReasons = function(message, numberOfOperations) {
+    const match = /\[([^\]]*)\]/.exec(message || '');
+    const reasons = match ? match[1].split(',').map(reason => reason.trim()) : [];
+    return reasons.length === numberOfOperations ? reasons : undefined;
+}
@@ -0,0 +1,174 @@
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+Errors thrown (or rejected) by the linkedlist.
+All of them carry the id of the list, the page involved (a page number, or 'summary') and the underlying storage error (cause) if any.
+The code field matches the exceptions documented in LinkedListDesign.txt, so callers can switch on it:
+- pageNotFound: a page (or the whole list, see ListNotFoundError) does not exist
+- createNewPageException: a page could not be created, or still does not exist after being created (race on the page)
+- dynamoNotAvailable: the storage failed for any other reason (outage, network...)
+- throttled: the storage refused the call because of the provisioned capacity, retry later with back off
+- valueTooLarge: a value can't fit in a page, it has been rejected before reaching the storage
+- itemNotFound: no item (or only a removed one) at the given pointer
+- metadataConflict: the metadata of the list has been updated since the version the caller read
+- unsupportedVersion: a page has been written by a newer version of the linkedlist (its "v" is unknown)
+- transactionConflict: atomicAppendMany kept losing the race against other writers of one of its lists, nothing has been appended
+- encryptionFailed: a value could not be encrypted or decrypted (no key provider, unknown key, tampered value...)
+- unsupportedEncoding: a value is stored with an encoding written by a newer version of the linkedlist
+*/
+
+'use strict';
+
+const throttlingCodes = [
+    'ProvisionedThroughputExceededException',
+    'ThrottlingException',
+    'RequestLimitExceeded',
+    'TooManyRequestsException'
+];
+
+class LinkedListError extends Error {
+    constructor(message, listId, pageId, cause) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'linkedListError';
+        this.listId = listId;
+        this.pageId = pageId;
+        this.cause = cause;
+    }
+}
+
+class PageNotFoundError extends LinkedListError {
+    constructor(message, listId, pageId, cause) {
+        super(message, listId, pageId, cause);
+        this.code = 'pageNotFound';
+    }
+}
+
+/* The summary page does not exist, the list was never created. */
+class ListNotFoundError extends PageNotFoundError {
+    constructor(listId, cause) {
+        super('LinkedList ' + listId + ' does not exist', listId, 'summary', cause);
+    }
+}
+
+class CreateNewPageError extends LinkedListError {
+    constructor(message, listId, pageId, cause) {
+        super(message, listId, pageId, cause);
+        this.code = 'createNewPageException';
+    }
+}
+
+class DynamoNotAvailableError extends LinkedListError {
+    constructor(message, listId, pageId, cause) {
+        super(message, listId, pageId, cause);
+        this.code = 'dynamoNotAvailable';
+    }
+}
+
+class ThrottlingError extends LinkedListError {
+    constructor(message, listId, pageId, cause) {
+        super(message, listId, pageId, cause);
+        this.code = 'throttled';
+    }
+}
+
+/* Raised up front, the value would not fit in an empty page (see configureMaximumPageSize). */
+class ValueTooLargeError extends LinkedListError {
+    constructor(listId, sizeInBytes, maxSizeInBytes) {
+        super('Value of ' + sizeInBytes + ' bytes is bigger than the maximum of ' + maxSizeInBytes + ' bytes for LinkedList ' + listId, listId);
+        this.code = 'valueTooLarge';
+        this.sizeInBytes = sizeInBytes;
+        this.maxSizeInBytes = maxSizeInBytes;
+    }
+}
+
+/* Nothing to update or remove at this page_id/sequence_id. */
+class ItemNotFoundError extends LinkedListError {
+    constructor(listId, pointer, cause) {
+        super('No item at page ' + pointer.page_id + ' sequence ' + pointer.sequence_id + ' of LinkedList ' + listId, listId, pointer.page_id, cause);
+        this.code = 'itemNotFound';
+        this.sequenceId = pointer.sequence_id;
+    }
+}
+
+/* Optimistic concurrency on the metadata: another caller updated them first, read them again (getListInfo) and retry. */
+class MetadataConflictError extends LinkedListError {
+    constructor(listId, expectedVersion, actualVersion, cause) {
+        super('Metadata of LinkedList ' + listId + ' have been updated since version ' + expectedVersion, listId, 'summary', cause);
+        this.code = 'metadataConflict';
+        this.expectedVersion = expectedVersion;
+        this.actualVersion = actualVersion;
+    }
+}
+
+/* The page layout ("v" attribute) is newer than the ones this version of the linkedlist can read, upgrade the linkedlist. */
+class UnsupportedVersionError extends LinkedListError {
+    constructor(listId, pageId, version, latestVersion) {
+        super('Page ' + pageId + ' of LinkedList ' + listId + ' is at version ' + version + ', the latest supported is ' + latestVersion, listId, pageId);
+        this.code = 'unsupportedVersion';
+        this.version = version;
+        this.latestVersion = latestVersion;
+    }
+}
+
+/* atomicAppendMany gave up: the pages of listIds kept moving under it. Nothing has been appended, retry later. */
+class TransactionConflictError extends LinkedListError {
+    constructor(listIds, attempts, cause) {
+        super('Could not append to LinkedLists ' + listIds.join(', ') + ' in ' + attempts + ' attempts, they kept being appended to by other writers', listIds[0], undefined, cause);
+        this.code = 'transactionConflict';
+        this.listIds = listIds;
+        this.attempts = attempts;
+    }
+}
+
+/* The key provider failed or the value does not decrypt with its key (see configureEncryption). */
+class EncryptionError extends LinkedListError {
+    constructor(message, listId, pageId, cause) {
+        super(message, listId, pageId, cause);
+        this.code = 'encryptionFailed';
+    }
+}
+
+/* A value of the page is stored with an encoding this version of the linkedlist can't decode, upgrade the linkedlist. */
+class UnsupportedEncodingError extends LinkedListError {
+    constructor(listId, pageId, encoding) {
+        super('A value of page ' + pageId + ' of LinkedList ' + listId + ' is stored with the unknown encoding ' + encoding, listId, pageId);
+        this.code = 'unsupportedEncoding';
+        this.encoding = encoding;
+    }
+}
+
+const isThrottling = function(err) {
+    return !!err && throttlingCodes.indexOf(err.code) >= 0;
+}
+
+/* Wraps a raw storage error, errors already wrapped are returned as is. */
+const storageError = function(message, listId, pageId, err) {
+    if (err instanceof LinkedListError) {
+        return err;
+    }
+    const fullMessage = message + ': ' + (err && err.message);
+    if (isThrottling(err)) {
+        return new ThrottlingError(fullMessage, listId, pageId, err);
+    }
+    return new DynamoNotAvailableError(fullMessage, listId, pageId, err);
+}
+
+module.exports.LinkedListError = LinkedListError;
+module.exports.PageNotFoundError = PageNotFoundError;
+module.exports.ListNotFoundError = ListNotFoundError;
+module.exports.CreateNewPageError = CreateNewPageError;
+module.exports.DynamoNotAvailableError = DynamoNotAvailableError;
+module.exports.ThrottlingError = ThrottlingError;
+module.exports.ValueTooLargeError = ValueTooLargeError;
+module.exports.ItemNotFoundError = ItemNotFoundError;
+module.exports.MetadataConflictError = MetadataConflictError;
+module.exports.UnsupportedVersionError = UnsupportedVersionError;
+module.exports.TransactionConflictError = TransactionConflictError;
+module.exports.EncryptionError = EncryptionError;
+module.exports.UnsupportedEncodingError = UnsupportedEncodingError;
+module.exports.isThrottling = isThrottling;
+module.exports.storageError = storageError;
@@ -0,0 +1,201 @@
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+In-memory stand-in for the DynamoDB storage adapter, to run the linkedlist without any AWS table (CI, local dev...).
+It mimics the DynamoDB semantics the linkedlist relies on:
+- every call is asynchronous and items are copied in and out, like a real round trip
+- a conditional put on an existing id fails with ConditionalCheckFailedException
+- a list_append on a missing item or attribute fails with ValidationException
+- a conditional increment on a stale counter fails with ConditionalCheckFailedException
+- a conditional update on a missing item or on stale attributes fails with ConditionalCheckFailedException
+- replacing a list element that does not exist fails with ConditionalCheckFailedException (it never appends)
+- a transaction is applied whole or not at all, failing with TransactionCanceledException and the cancellation reason of each operation
+*/
+
+'use strict';
+
+const awsError = function(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+const copy = function(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports.create = function() {
+    const items = {};
+
+    /* Returns the item, or undefined if it does not exist.
+    specificFieldToFilterOn is optional, a field name or an array of field names. */
+    const getItem = function(itemId, specificFieldToFilterOn) {
+        return Promise.resolve().then(function() {
+            const item = items[itemId];
+            if (!item) {
+                return undefined;
+            }
+            if (specificFieldToFilterOn) {
+                const projection = {};
+                [].concat(specificFieldToFilterOn).forEach(function(field) {
+                    if (item[field] !== undefined) {
+                        projection[field] = item[field];
+                    }
+                });
+                return copy(projection);
+            }
+            return copy(item);
+        });
+    }
+
+    /* Fails with ConditionalCheckFailedException if an item with the same id already exists. */
+    const putItemIfAbsent = function(item) {
+        return Promise.resolve().then(function() {
+            if (items[item.id]) {
+                throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+            }
+            items[item.id] = copy(item);
+            return {};
+        });
+    }
+
+    /* Fails with ValidationException if the item (or its list) does not exist. Returns all the new attributes. */
+    const appendToList = function(itemId, attributeName, values) {
+        return Promise.resolve().then(function() {
+            const item = items[itemId];
+            if (!item || !Array.isArray(item[attributeName])) {
+                throw awsError('ValidationException', 'The provided expression refers to an attribute that does not exist in the item');
+            }
+            item[attributeName] = item[attributeName].concat(copy(values));
+            return copy(item);
+        });
+    }
+
+    /* Fails with ConditionalCheckFailedException if the counter is not equal to expectedValue anymore. Returns the updated attributes. */
+    const incrementCounter = function(itemId, attributeName, expectedValue) {
+        return Promise.resolve().then(function() {
+            const item = items[itemId];
+            if (!item || item[attributeName] !== expectedValue) {
+                throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+            }
+            item[attributeName] = expectedValue + 1;
+            const attributes = {};
+            attributes[attributeName] = item[attributeName];
+            return attributes;
+        });
+    }
+
+    /* Sets the attributes of an existing item, if its current attributes match expectedAttributes (an undefined expected value means the attribute must not exist).
+    Fails with ConditionalCheckFailedException otherwise, or if the item does not exist. Returns all the new attributes. */
+    const updateItem = function(itemId, attributesToSet, expectedAttributes) {
+        return Promise.resolve().then(function() {
+            const item = items[itemId];
+            const isExpected = attributeName => JSON.stringify(item[attributeName]) === JSON.stringify(expectedAttributes[attributeName]);
+            if (!item || !Object.keys(expectedAttributes || {}).every(isExpected)) {
+                throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+            }
+            Object.assign(item, copy(attributesToSet));
+            return copy(item);
+        });
+    }
+
+    /* Adds the increments to the number attributes (missing ones start at 0) and sets attributesToSet on an existing item.
+    Fails with ConditionalCheckFailedException if the item does not exist. Returns the updated attributes. */
+    const addToAttributes = function(itemId, increments, attributesToSet) {
+        return Promise.resolve().then(function() {
+            const item = items[itemId];
+            if (!item) {
+                throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+            }
+            const attributes = copy(attributesToSet) || {};
+            Object.keys(increments).forEach(function(attributeName) {
+                attributes[attributeName] = (item[attributeName] || 0) + increments[attributeName];
+            });
+            Object.assign(item, attributes);
+            return copy(attributes);
+        });
+    }
+
+    /* Replaces the element at index of the list attribute, if that element exists and its attributes match expectedElementAttributes
+    (an undefined expected value means the attribute must not exist). Fails with ConditionalCheckFailedException otherwise. Returns all the new attributes. */
+    const setListElement = function(itemId, attributeName, index, value, expectedElementAttributes) {
+        return Promise.resolve().then(function() {
+            const item = items[itemId];
+            const list = item && item[attributeName];
+            const element = Array.isArray(list) ? list[parseInt(index)] : undefined;
+            const isExpected = elementAttributeName => JSON.stringify(element[elementAttributeName]) === JSON.stringify(expectedElementAttributes[elementAttributeName]);
+            if (element === undefined || !Object.keys(expectedElementAttributes || {}).every(isExpected)) {
+                throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+            }
+            list[parseInt(index)] = copy(value);
+            return copy(item);
+        });
+    }
+
+    /* Deleting an item that does not exist succeeds. */
+    const deleteItem = function(itemId) {
+        return Promise.resolve().then(function() {
+            delete items[itemId];
+            return {};
+        });
+    }
+
+    /* Applies all the operations or none of them, see the DynamoDB adapter for the operations.
+    Fails with TransactionCanceledException if a condition does not hold (err.cancellationReasons), with ValidationException if two operations target the same item. */
+    const transactWrite = function(operations) {
+        return Promise.resolve().then(function() {
+            const itemIds = operations.map(operation => operation.item ? operation.item.id : operation.itemId);
+            if (itemIds.some((itemId, i) => itemIds.indexOf(itemId) !== i)) {
+                throw awsError('ValidationException', 'Transaction request cannot include multiple operations on one item');
+            }
+            const reasons = operations.map(function(operation) {
+                const item = items[operation.item ? operation.item.id : operation.itemId];
+                const holds = {
+                    putItemIfAbsent: () => !item,
+                    incrementCounter: () => !!item && item[operation.attributeName] === operation.expectedValue,
+                    appendToList: () => !!item && Array.isArray(item[operation.attributeName]) && item[operation.attributeName].length === operation.expectedLength
+                }[operation.type];
+                if (!holds) {
+                    throw awsError('ValidationException', 'Unknown transaction operation: ' + operation.type);
+                }
+                return holds() ? 'None' : 'ConditionalCheckFailed';
+            });
+            if (reasons.some(reason => reason !== 'None')) {
+                const err = awsError('TransactionCanceledException', 'Transaction cancelled, please refer cancellation reasons for specific reasons [' + reasons.join(', ') + ']');
+                err.cancellationReasons = reasons;
+                throw err;
+            }
+            operations.forEach(function(operation) {
+                if (operation.type === 'putItemIfAbsent') {
+                    items[operation.item.id] = copy(operation.item);
+                }
+                else if (operation.type === 'incrementCounter') {
+                    items[operation.itemId][operation.attributeName]++;
+                }
+                else {
+                    const item = items[operation.itemId];
+                    item[operation.attributeName] = item[operation.attributeName].concat(copy(operation.values));
+                }
+            });
+            return {};
+        });
+    }
+
+    return {
+        getItem: getItem,
+        putItemIfAbsent: putItemIfAbsent,
+        appendToList: appendToList,
+        incrementCounter: incrementCounter,
+        updateItem: updateItem,
+        addToAttributes: addToAttributes,
+        setListElement: setListElement,
+        deleteItem: deleteItem,
+        transactWrite: transactWrite
+    };
+}
@@ -0,0 +1,68 @@
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+Metrics hooks, to alert on contention and tune maxElementPerPage from data (see configureMetrics).
+Hooks are an object exposing (both optional, both synchronous):
+- increment(name, value, tags): a counter, for example pageCounterRace or consumedCapacity
+- timing(name, durationInMs, tags): the latency of a storage operation, retries included
+tags holds the listId for the events of a list, and the operation for the storage calls.
+A hook throwing is logged and ignored: metrics never break the linkedlist.
+*/
+
+'use strict';
+
+const noHooks = {};
+
+const call = function(hooks, hookName, name, value, tags) {
+    if (!hooks || typeof hooks[hookName] !== 'function') {
+        return;
+    }
+    try {
+        hooks[hookName](name, value, tags || {});
+    }
+    catch (err) {
+        console.log('Error happened in the ' + hookName + ' metrics hook for ' + name + ': ' + err);
+    }
+}
+
+const increment = function(hooks, name, value, tags) {
+    call(hooks, 'increment', name, value, tags);
+}
+
+const timing = function(hooks, name, durationInMs, tags) {
+    call(hooks, 'timing', name, durationInMs, tags);
+}
+
+/* Returns a storage adapter timing every call of the given one ("storage" timing, tagged with the operation and its outcome: ok or the error code).
+getHooks is called on each call so hook changes apply right away. */
+const wrapStorage = function(storage, getHooks) {
+    const timedStorage = {};
+    Object.keys(storage).forEach(function(operationName) {
+        if (typeof storage[operationName] !== 'function') {
+            timedStorage[operationName] = storage[operationName];
+            return;
+        }
+        timedStorage[operationName] = function() {
+            const start = new Date().getTime();
+            const record = function(outcome) {
+                timing(getHooks(), 'storage', new Date().getTime() - start, { operation: operationName, outcome: outcome });
+            }
+            return storage[operationName].apply(storage, arguments).then(function(result) {
+                record('ok');
+                return result;
+            }, function(err) {
+                record((err && err.code) || 'error');
+                throw err;
+            });
+        };
+    });
+    return timedStorage;
+}
+
+module.exports.noHooks = noHooks;
+module.exports.increment = increment;
+module.exports.timing = timing;
+module.exports.wrapStorage = wrapStorage;
@@ -0,0 +1,99 @@
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+Versions of the layout of the items written by the linkedlist, stored in their "v" attribute (a missing v is version 1).
+There are two kinds of items: the summary page ('summary') and the data pages ('page').
+Readers upgrade every item they read to the latest version of its kind, by applying the upgrade functions of the registry one version after the other,
+so the rest of the code only ever sees the latest layout. migrateList rewrites the items of a list with the same functions.
+An upgrade function takes the item at version n and returns it at version n + 1. It must be idempotent on the attributes it fills:
+pages written at version n by an old writer can be appended to by a new one, so some of their items can already have the new attributes.
+*/
+
+'use strict';
+
+const errors = require('./errors');
+const valueEncoding = require('./value_encoding');
+
+/* The attributes added to the summary so far (firstPage, pageMap, metadataVersion, itemCount...) all have a default when missing,
+and the CAS on the summary compare them with their stored value: the summary is still at version 1. */
+const upgrades = {
+    summary: {},
+    page: {
+        /* Version 2: every item has an appended_at, the items appended before it existed get the creation time of their page */
+        1: function(page) {
+            if (Array.isArray(page.data_list) && page.submittedAt !== undefined) {
+                page.data_list.forEach(function(item) {
+                    if (item && typeof item === 'object' && item.appended_at === undefined && !item.tombstone) {
+                        item.appended_at = page.submittedAt;
+                    }
+                });
+            }
+            return page;
+        },
+        /* Version 3: the envelopes of the large and encrypted values are marked (see value_encoding.js), so a value with an encoded_value
+        or an overflow_id of its own is not taken for one. Older readers would hand the marked envelopes as values, they get UnsupportedVersionError instead */
+        2: function(page) {
+            if (Array.isArray(page.data_list)) {
+                page.data_list.forEach(function(item) {
+                    if (valueEncoding.isUnmarkedEnvelope(item)) {
+                        item[valueEncoding.envelopeMarker] = 1;
+                    }
+                });
+            }
+            return page;
+        }
+    }
+};
+
+/* The attributes the upgrade functions read, on top of v. */
+const attributesNeededToUpgrade = {
+    summary: [],
+    page: ['submittedAt']
+};
+
+const getVersion = function(item) {
+    return item.v || 1;
+}
+
+const latestVersion = function(kind) {
+    var version = 1;
+    while (upgrades[kind][version]) {
+        version++;
+    }
+    return version;
+}
+
+/* Registers the function upgrading the items of this kind from fromVersion to fromVersion + 1, making fromVersion + 1 the latest version
+if it is the next one. New items are then written at that version. */
+const registerUpgrade = function(kind, fromVersion, upgradeFunction) {
+    upgrades[kind][fromVersion] = upgradeFunction;
+}
+
+/* Returns the item upgraded to the latest version of its kind (the item itself when already up to date).
+Throws an UnsupportedVersionError if it has been written by a newer version of the linkedlist. */
+const upgrade = function(kind, item, listId, pageId) {
+    const targetVersion = latestVersion(kind);
+    var version = getVersion(item);
+    if (version > targetVersion) {
+        throw new errors.UnsupportedVersionError(listId, pageId, version, targetVersion);
+    }
+    if (version === targetVersion) {
+        return item;
+    }
+    var upgradedItem = JSON.parse(JSON.stringify(item));
+    while (version < targetVersion) {
+        upgradedItem = upgrades[kind][version](upgradedItem);
+        version++;
+        upgradedItem.v = version;
+    }
+    return upgradedItem;
+}
+
+module.exports.attributesNeededToUpgrade = attributesNeededToUpgrade;
+module.exports.getVersion = getVersion;
+module.exports.latestVersion = latestVersion;
+module.exports.registerUpgrade = registerUpgrade;
+module.exports.upgrade = upgrade;
@@ -0,0 +1,131 @@
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+Retries with exponential back off and jitter around the calls made to the storage.
+Only throttling and transient errors are retried. Conditional-check failures and validation errors are never retried:
+they are the CAS mechanism of the linkedlist and the caller needs to see them right away.
+Transient errors (timeouts, 5XX, network) are ambiguous for a write: it may have been applied before the call failed.
+The writes that are not idempotent (appendToList, addToAttributes, transactWrite) are then only retried on throttling,
+retrying them on transient errors would write twice (a value appended twice, a statistic counted twice). retryAmbiguousErrors opts in.
+
+A policy is:
+- maxAttempts: total number of calls, including the first one (1 disables the retries)
+- baseDelay: delay in ms before the first retry, doubled on each retry
+- maxDelay: upper bound of the delay in ms
+- jitter: between 0 (no jitter) and 1 (full jitter), fraction of the delay that is randomized to spread concurrent retries
+- retryAmbiguousErrors: retry the writes that are not idempotent on transient errors too (false by default)
+- operations: per storage operation overrides, for example { appendToList: { maxAttempts: 5 } }
+*/
+
+'use strict';
+
+const errors = require('./errors');
+
+const defaultPolicy = {
+    maxAttempts: 3,
+    baseDelay: 50,
+    maxDelay: 2000,
+    jitter: 1,
+    retryAmbiguousErrors: false,
+    operations: {}
+};
+
+const transientCodes = [
+    'InternalServerError',
+    'ServiceUnavailable',
+    'RequestTimeout',
+    'TimeoutError',
+    'NetworkingError',
+    'ECONNRESET'
+];
+
+const neverRetriedCodes = [
+    'ConditionalCheckFailedException',
+    'ValidationException',
+    'TransactionCanceledException'
+];
+
+const isRetryable = function(err) {
+    if (!err || neverRetriedCodes.indexOf(err.code) >= 0) {
+        return false;
+    }
+    return errors.isThrottling(err) || transientCodes.indexOf(err.code) >= 0 || err.retryable === true;
+}
+
+/* Applying them twice does not give the same result as applying them once. */
+const nonIdempotentOperations = [
+    'appendToList',
+    'addToAttributes',
+    'transactWrite'
+];
+
+/* A throttled call has not been applied, a call failing on a transient error may have been. */
+const shouldRetry = function(operationName, policy, err) {
+    if (!isRetryable(err)) {
+        return false;
+    }
+    return errors.isThrottling(err) || policy.retryAmbiguousErrors || nonIdempotentOperations.indexOf(operationName) < 0;
+}
+
+/* The policy to apply for one operation, overrides win over the general policy. */
+const policyForOperation = function(policy, operationName) {
+    const overrides = (policy.operations && policy.operations[operationName]) || {};
+    return Object.assign({}, defaultPolicy, policy, overrides);
+}
+
+const computeDelay = function(policy, retryNumber) {
+    const exponentialDelay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, retryNumber));
+    return exponentialDelay * (1 - policy.jitter * Math.random());
+}
+
+/* No timer for a zero delay, so retries without back off stay in the same turn (see simulation.js). */
+const wait = function(delay) {
+    if (delay <= 0) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/* Calls fn until it succeeds, fails with a non retryable error, or the attempts are exhausted (the last error is then rejected).
+onRetry (optional) is called with the operation name and the error before each retry. */
+const withRetry = function(operationName, policy, fn, onRetry, attempt = 1) {
+    return fn().catch(function(err) {
+        if (!shouldRetry(operationName, policy, err) || attempt >= policy.maxAttempts) {
+            throw err;
+        }
+        const delay = computeDelay(policy, attempt - 1);
+        console.log('Retrying ' + operationName + ' in ' + Math.round(delay) + 'ms (attempt ' + (attempt + 1) + '/' + policy.maxAttempts + ') after: ' + err.code);
+        if (onRetry) {
+            onRetry(operationName, err);
+        }
+        return wait(delay).then(function() {
+            return withRetry(operationName, policy, fn, onRetry, attempt + 1);
+        });
+    });
+}
+
+/* Returns a storage adapter retrying every call of the given one. getPolicy is called on each call so policy changes apply right away. */
+const wrapStorage = function(storage, getPolicy, onRetry) {
+    const retryingStorage = {};
+    Object.keys(storage).forEach(function(operationName) {
+        if (typeof storage[operationName] !== 'function') {
+            retryingStorage[operationName] = storage[operationName];
+            return;
+        }
+        retryingStorage[operationName] = function() {
+            const args = arguments;
+            const policy = policyForOperation(getPolicy(), operationName);
+            return withRetry(operationName, policy, function() {
+                return storage[operationName].apply(storage, args);
+            }, onRetry);
+        };
+    });
+    return retryingStorage;
+}
+
+module.exports.defaultPolicy = defaultPolicy;
+module.exports.isRetryable = isRetryable;
+module.exports.wrapStorage = wrapStorage;
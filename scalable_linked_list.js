@@ -19,178 +19,2504 @@ This linkedlist incorporate automatic retries to dynamo and don’t use any bloc
 This linkedlist only uses the primary key of the item to make sure the partitioning is done well.
 
 #Warnings
-- Because of race condition, the append algorithm is doing only a “best” effort ordering, which mean you can have value that is slightly (few seconds) older in a later page than the current page (just ignore, or reorder time client side).
+- Because of race condition, the append algorithm is doing only a “best” effort ordering, which mean you can have value that is slightly (few seconds) older in a later page than the current page (just ignore, reorder time client side, or read with the ordered option of the retrieval functions).
 - A page can be empty, or not well initialized. It is by design due to concurrent calls. If so, just ignore it and keep iterating through pages to retrieve data.
-- Your client can be throttled (4XX Error), listen for that and retry late with exponential back off.
+- Your client can be throttled (4XX Error). Throttled and transient calls are retried with exponential back off (see configureRetryPolicy), once the attempts are exhausted a ThrottlingError is thrown, retry later.
 */
 
 // NOTE: All the assertion and exception managed isn't done here, by design, please manage it well in the caller side
 
 'use strict';
 
-const AWS = require('aws-sdk');
-var dynamoDb = {};
+const dynamoStorage = require('./dynamo_storage');
+const memoryStorage = require('./memory_storage');
+const EventEmitter = require('events');
+const errors = require('./errors');
+const pageVersions = require('./page_versions');
+const valueEncoding = require('./value_encoding');
+const valueEncryption = require('./value_encryption');
+const crypto = require('crypto');
+const retryPolicy = require('./retry_policy');
+const metrics = require('./metrics');
 
-const dynamoUtils = require('dynamo_data_access');
-const dynamoRetriever = dynamoUtils.item_retriever();
-const dynamoIncrementer = dynamoUtils.item_incrementer();
+/* Creates an independent linkedlist store, with its own table, region, page size and storage.
+The store exposes the same functions as this module, the functions of this module being a default store for backward compatibility.
+options (all optional):
+- region and tableName: the DynamoDB table to target
+- client: a DocumentClient to use for this table (for example one pointing to a local endpoint)
+- storage: any storage adapter (see configureStorage), instead of the DynamoDB table
+- maxElementPerPage: see configureMaximumNumberOfElementPerPage
+- maxPageSizeInBytes: see configureMaximumPageSize
+- timeToLiveInSeconds: see configureTimeToLive
+- retryPolicy: see configureRetryPolicy
+- largeValues: see configureLargeValues
+- encryption: see configureEncryption
+- metrics: see configureMetrics
+*/
+const createLinkedListStore = function(options) {
+    options = options || {};
+    const store = {};
+    const config = {
+        tableName: '',
+        region: '',
+        maxElementPerPage: 50, //default
+        maxPageSizeInBytes: 0, //no cap on the size by default
+        timeToLiveInSeconds: 0, //pages never expire by default
+        retryPolicy: retryPolicy.defaultPolicy,
+        largeValues: {
+            compression: 'none', //values are stored as is by default
+            compressionThresholdInBytes: 1024,
+            overflowThresholdInBytes: 0 //no overflow by default
+        },
+        encryption: {
+            keyProvider: undefined //values are stored in clear by default
+        },
+        metrics: metrics.noHooks
+    };
+    var storage = {};
+    var lastAppendTimestamp = 0;
+
+    /* This is to initialize the DB name and region you will be targeting.
+    client is optional, a DocumentClient to use instead of the default one for the region. */
+    store.configureDynamoDB = function(region, table, client) {
+        config.region = region;
+        config.tableName = table;
+        const onConsumedCapacity = function(operationName, capacityUnits) {
+            metrics.increment(config.metrics, 'consumedCapacity', capacityUnits, { operation: operationName });
+        };
+        storage = instrumentStorage(dynamoStorage.create(region, table, client, onConsumedCapacity));
+    }
+
+    /* This is to plug any other storage than DynamoDB (for example createMemoryStorage() to run offline).
+    A storage adapter is an object exposing (all returning promises):
+    - getItem(itemId, specificFieldToFilterOn): the item or undefined if it does not exist
+    - putItemIfAbsent(item): fails with a ConditionalCheckFailedException code if item.id already exists
+    - appendToList(itemId, attributeName, values): appends atomically, fails with a ValidationException code if the item or list does not exist, returns the new attributes
+    - incrementCounter(itemId, attributeName, expectedValue): fails with a ConditionalCheckFailedException code if the counter moved, returns the new attributes
+    - updateItem(itemId, attributesToSet, expectedAttributes): fails with a ConditionalCheckFailedException code if the item is missing or the expected attributes don't match, returns the new attributes
+    - addToAttributes(itemId, increments, attributesToSet): adds to number attributes and sets others, fails with a ConditionalCheckFailedException code if the item is missing
+    - setListElement(itemId, attributeName, index, value, expectedElementAttributes): replaces an existing element, fails with a ConditionalCheckFailedException code if it does not exist or does not match, returns the new attributes
+    - deleteItem(itemId): succeeds even if the item does not exist
+    - transactWrite(operations): optional, only needed by atomicAppendMany, applies all the operations or none (see dynamo_storage.js) */
+    store.configureStorage = function(storageAdapter) {
+        storage = instrumentStorage(storageAdapter);
+    }
+
+    /* Every storage call is retried (see configureRetryPolicy) then timed (see configureMetrics), the timing including the retries. */
+    const instrumentStorage = function(storageAdapter) {
+        const onRetry = function(operationName, err) {
+            metrics.increment(config.metrics, 'retry', 1, { operation: operationName, code: err.code });
+        };
+        return metrics.wrapStorage(retryPolicy.wrapStorage(storageAdapter, () => config.retryPolicy, onRetry), () => config.metrics);
+    }
+
+    /* Every call to the storage (page reads, appends, page creations, page counter increments) is retried on throttling and transient errors.
+    Conditional-check failures are never retried, they are part of the CAS mechanism.
+    The appends (appendToList, transactWrite) and statistics (addToAttributes) are not idempotent: they are only retried on throttling,
+    a timeout may hide an append that landed and retrying it would write the value twice (unless retryAmbiguousErrors is set).
+    policy: { maxAttempts, baseDelay (ms), maxDelay (ms), jitter (0 to 1), retryAmbiguousErrors, operations: { <storage operation>: { ...overrides } } }
+    The storage operations are getItem, putItemIfAbsent, appendToList, incrementCounter, updateItem, setListElement and deleteItem. */
+    store.configureRetryPolicy = function(policy) {
+        config.retryPolicy = Object.assign({}, retryPolicy.defaultPolicy, policy);
+    }
+
+    /* The linkedlist absorbs the races between concurrent writers silently, hooks let you see them (see metrics.js):
+    { increment(name, value, tags), timing(name, durationInMs, tags) }, both optional and synchronous.
+    Counters, tagged with the listId:
+    - pageCreationRace: another writer created the next page first
+    - pageCounterRace: another writer already moved currentPage ('already been incremented due to race condition')
+    - missingPageCreated: an append found no page (ValidationException) and created it
+    - blankPageSkipped: a read went through a page that was never written or is blank
+    - rollover (tagged with the reason: count or size): a writer moved to a new page, to compare with maxElementPerPage
+    - itemsAppended (value: number of items)
+    - transactionConflict: an atomicAppendMany transaction has been cancelled by another writer of the list
+    Storage counters and timings, tagged with the operation:
+    - storage timing (tagged with the outcome: ok or the error code), retries included
+    - retry (tagged with the error code)
+    - consumedCapacity (value: capacity units, DynamoDB only, from ReturnConsumedCapacity)
+    Pass nothing to remove the hooks. */
+    store.configureMetrics = function(hooks) {
+        config.metrics = hooks || metrics.noHooks;
+    }
+
+    const countEvent = function(name, id, value, tags) {
+        metrics.increment(config.metrics, name, value === undefined ? 1 : value, Object.assign({ listId: id }, tags));
+    }
+
+    /* This function is to optimize how much a data can be added by “page”.
+    If page == 1 (which is the minimum) it will create a new dynamodb item for each node in the linkedlist. 
+    This will most likely not react well at scale (empty page, pointer incremented too much…).
+
+    The goal is to put as much data as possible in a single page but:
+    - The size should not go being the maximum dynamo item size (which is 400 KB)
+    - BulkRetrieve in dynamo is limited to 16 000KB. You will most likely want to retrieve linkedlist in bulk, so keep this in mind.
+    - Each page contains 1KB of metadata
+    - Concurrent threads can be trying to add in the same page despite the limit being reached! It should be small window of few seconds when this happen, but my advice would be to over provisioning by assuming the maximum size of the dynamo DB item is 200kb (and then tune things up or down depending on the scale)
+    - Overall, the number you put here, is the maximum of TPS for this instance of the linkedlist (req in the average same seconds) you can have before any of your customers get TooBigItemException
+
+    So for example, if the maximum size of value is 1 000 characters, in UTF-8, it mean each element maximum 1,074 bytes (1kb).
+    The maximum size of a page should be: 1KB + 1kb * N <= 400KB, N should be less than 390ish.
+    Then we apply the over-provisioning factor of /2, so we limit ourself to 200 elements.
+    Note: it would limit to retrieve 80 linked-list page in a BulkRetrieve operation */
+    store.configureMaximumNumberOfElementPerPage = function(numberOfMaximumElement) {
+        if (numberOfMaximumElement) {
+            config.maxElementPerPage = numberOfMaximumElement;
+        }
+    }
+
+    /* Instead of hand-calculating N from the size of the values, you can also cap the size of a page (serialized, in bytes).
+    A page then rolls over when it reaches maxElementPerPage OR as soon as another value of the same size than the last one would not fit.
+    A value that would not fit in an empty page (1KB of metadata is kept for the page itself) is rejected with a ValueTooLargeError.
+    Even without this setting, values that can't fit in a DynamoDB item (400KB) are rejected.
+    Concurrent appends can still push a page slightly above the cap, so keep some headroom below 400KB. */
+    store.configureMaximumPageSize = function(maxPageSizeInBytes) {
+        if (maxPageSizeInBytes) {
+            config.maxPageSizeInBytes = maxPageSizeInBytes;
+        }
+    }
+
+    /* One big value can push a page past the 400KB DynamoDB limit, and break the appends of everyone sharing that page. settings (all optional):
+    - compression: 'gzip' or 'brotli' to compress the values bigger than compressionThresholdInBytes (default 1KB), 'none' by default
+    - overflowThresholdInBytes: the values still bigger than this once compressed are stored out of the page, in overflow items
+      ("<id>_overflow_<random id>_<chunk>", split in chunks of 300KB) the page only references. 0 (default) keeps every value in its page.
+    The retrieval functions rehydrate the values transparently, only the pages written by an older version of the linkedlist can't read them.
+    A value is encoded once, before its append: it costs one extra write per overflow chunk, and one extra read per chunk each time it is retrieved.
+    Overflow items get the same ttl as the pages, and are deleted with the value: by updateItem and removeItem, and with its page by deleteList, trimToLast and expireOlderThan.
+    Those read each page (or item) before dropping it, to find the overflow items of its values. */
+    store.configureLargeValues = function(settings) {
+        const largeValues = Object.assign({}, config.largeValues, settings);
+        if (!valueEncoding.isSupported(largeValues.compression)) {
+            throw new Error('Unsupported compression: ' + largeValues.compression);
+        }
+        config.largeValues = largeValues;
+    }
+
+    /* Client-side encryption of the values, settings: { keyProvider } (see value_encryption.js for the key providers, createLocalKeyProvider for one).
+    Every value appended or updated is then encrypted with a data key of its own, itself encrypted by the key provider with the current key of the list
+    (context.listId, the id of the stripe for striped lists), and stored in an envelope with the id of that key so the keys can be rotated.
+    Only the appended_at and idempotency_key of the values stay in clear, the retrieval functions decrypt the values transparently.
+    The values stored before stay in clear, pass nothing to stop encrypting: the encrypted values can then no longer be read.
+    A value that does not decrypt (unknown key, tampered value or value copied from another list) fails the read with an EncryptionError. */
+    store.configureEncryption = function(settings) {
+        const keyProvider = settings && settings.keyProvider;
+        if (keyProvider && !valueEncryption.isKeyProvider(keyProvider)) {
+            throw new Error('A key provider exposes encryptDataKey and decryptDataKey');
+        }
+        config.encryption = { keyProvider: keyProvider };
+    }
+
+    /* This will create the first summary page. This operation is idempotent.
+    The summary keeps the metadata (see getListInfo/updateMetadata) and the statistics of the list.
+    options.stripes (optional, 2 to 64) creates a striped list, for the lists so hot that the single current page item gets throttled:
+    the list then has that many tails ("stripes"), each one a list of its own ("<id>_stripe_<n>", with its summary holding its page counter and statistics),
+    so the appends, rollovers and statistics of the writers are spread over as many items. The summary of the list records the number of stripes,
+    which can't be changed afterward.
+    - an append goes to a random stripe, or to the stripe picked from its idempotencyKey (so its retries find it), a bulk append to a single stripe
+    - the values get the stripe_id of their stripe, next to appended_at; the pointers of a striped list are { stripe_id, page_id, sequence_id }
+    - the four retrieve*MostRecent/*Oldest functions merge the stripes back into one stream, in append order (see retrieveStriped)
+    - updateItem, removeItem, deleteList and getListInfo handle the stripes, the other functions (retrieve, iterate, watch, retrieveByTimeRange,
+      compact, verifyList, repairList, migrateList, trimToLast, expireOlderThan) are to be called on each stripe: getStripeListId(id, stripeId).
+      Given the id of the striped list itself, they fail with an Error instead of finding its own pages blank */
+    store.idempotentCreate = function(id, metadata, options) {
+        console.log('Creating LinkedList: ' + id);
+        const summaryObject = defaultPageSummary(id, metadata);
+        const numberOfStripes = options && options.stripes;
+        if (numberOfStripes !== undefined) {
+            if (!Number.isInteger(numberOfStripes) || numberOfStripes < 2 || numberOfStripes > constants.maxStripes) {
+                return Promise.reject(new Error('The number of stripes must be an integer between 2 and ' + constants.maxStripes + ', got: ' + numberOfStripes));
+            }
+            summaryObject.stripes = numberOfStripes;
+        }
+        //The stripes first, so they all exist once the list does
+        return Promise.all(stripeIds(numberOfStripes || 0).map(function(stripeId) {
+            return storage.putItemIfAbsent(defaultPageSummary(getStripeListId(id, stripeId))).catch(function(err) {
+                if (err.code !== 'ConditionalCheckFailedException') {
+                    throw err;
+                }
+            });
+        }))
+        .then(function() {
+            console.log('Creating LinkedList Page: ' + summaryObject.id);
+            //CAS on the id for idempotency
+            return storage.putItemIfAbsent(summaryObject).then(res => summaryObject);
+        });
+    }
+
+    /* The id of the list holding this stripe of a striped list (see idempotentCreate). */
+    store.getStripeListId = function(id, stripeId) {
+        return getStripeListId(id, stripeId);
+    }
+
+    /*
+    If the page does not exists it first atomically increment the pointer to point to the “current” page.
+    This pointer might be incremented as the same time as another thread which is why you can have “blank” page that you should ignore.
+    It then creates the new page by using the CAS mechanism. If the page get has been created in between, it just fails silently.
+    Then it finally append the value (or directly append if the page was already created) by inserting the data into the page atomically.
+    This operation is not idempotent and could insert duplicates due to retries, unless you pass options.idempotencyKey:
+    - the first call with a key claims it (CAS on an "<id>_idempotency_<key>" item) and records the pointer of the appended value
+    - any later call with the same key returns the original page_id/sequence_id instead of writing a second copy
+    - while the first call is still running (it renews its claim, a lease of 10s, until it is done), the later calls wait for it to record the pointer
+    - if the first call died between the claim and recording the pointer (the lease expired), one later call takes the claim over,
+      searches the value (by its idempotency_key) in the current and previous page, and only appends it again if it cannot be found there
+    Note: value needs to be an object, as we append extra propery to it (appended_at, the time of the append, used by retrieveByTimeRange)
+    */
+    store.atomicAppend = function(id, value, options) {
+        const idempotencyKey = options && options.idempotencyKey;
+        value.appended_at = nextAppendTimestamp();
+        if (idempotencyKey) {
+            value.idempotency_key = idempotencyKey;
+        }
+        return getAppendTarget(id, idempotencyKey).then(function(target) {
+            if (target.stripeId !== undefined) {
+                value.stripe_id = target.stripeId;
+            }
+            //With a key, the value is only encoded (and its overflow items written) once the key is claimed
+            if (idempotencyKey) {
+                return idempotentAppend(id, target, value, idempotencyKey);
+            }
+            return encodeValueToAppend(id, target, value).then(storedValue => appendToCurrentPage(target, storedValue));
+        });
+    }
+
+    /*
+    Same as atomicAppend but for a batch of values: the values are packed into the current page with a single list_append.
+    When the batch does not fit in the remaining room of the page (maxElementPerPage), it is split and the rest goes to the next page(s).
+    It returns the pointer (page_id and sequence_id) of every value, in the same order as values.
+    The values of the batch are kept contiguous within a page, but another thread can append in between two pages of the batch.
+    This operation is not idempotent and could insert duplicates due to retries.
+    Note: each value needs to be an object, as we append extra propery to it (appended_at)
+    */
+    store.atomicBulkAppendBulk = function(id, values) {
+        if (!values || values.length === 0) {
+            return Promise.resolve([]);
+        }
+        const timestamp = nextAppendTimestamp();
+        return getAppendTarget(id).then(function(target) {
+            values.forEach(function(value) {
+                value.appended_at = timestamp;
+                if (target.stripeId !== undefined) {
+                    value.stripe_id = target.stripeId;
+                }
+            });
+            return Promise.all(values.map(value => encodeValue(target.listId, value)))
+            .then(function(storedValues) {
+                const valueTooLarge = checkValuesSize(id, storedValues);
+                if (valueTooLarge) {
+                    throw valueTooLarge;
+                }
+                console.log('CurrentPage is ' + target.currentPage + ' starting inserting ' + values.length + ' values');
+                return atomicBulkAppendImpl(target.listId, target.currentPage, storedValues, []);
+            })
+            .then(function(pointers) {
+                countEvent('itemsAppended', target.listId, values.length);
+                return pointers.map(pointer => stripePointer(pointer, target));
+            });
+        });
+    }
+
+    /*
+    Appends each value to its list, all or nothing: the appends to every list are written in a single transaction (TransactWriteItems),
+    so a failure never leaves the value in some of the lists only. entries: [{ id, value }], on 50 lists at most (a transaction takes 100 writes).
+    Each append is planned from the current page of its list:
+    - the page has room: list_append on it, conditioned on its number of elements (which gives the sequence_id of the values)
+    - the page is full: the rollover is part of the transaction, the currentPage of the summary is incremented (CAS) and the next page is created with the values
+    - the page does not exist yet (the other writer of a rollover did not create it yet): it is created with the values
+    If another writer changed one of those items in between, the transaction is cancelled and planned again from fresh reads,
+    up to transactionAttempts (5) times before failing with a TransactionConflictError. Nothing has been appended when it fails.
+    Several entries can target the same list: their values are appended together in the same page, so at most maxElementPerPage of them.
+    The values to a striped list all go to the same stripe. Requires a storage adapter with transactWrite (DynamoDB and the in-memory storage).
+    Returns the pointers of the values, in the same order as entries.
+    Note: each value needs to be an object, each list stores a copy of it with extra properties (appended_at, stripe_id)
+    */
+    store.atomicAppendMany = function(entries) {
+        if (!entries || entries.length === 0) {
+            return Promise.resolve([]);
+        }
+        if (typeof storage.transactWrite !== 'function') {
+            return Promise.reject(new Error('The storage adapter does not support transactions (transactWrite)'));
+        }
+        const listIds = entries.map(entry => entry.id).filter((id, index, allIds) => allIds.indexOf(id) === index);
+        if (listIds.length > constants.maxListsPerTransaction) {
+            return Promise.reject(new Error('atomicAppendMany appends to ' + constants.maxListsPerTransaction + ' lists at most, got: ' + listIds.length));
+        }
+        const valuesByList = listIds.map(id => entries.filter(entry => entry.id === id).map(entry => entry.value));
+        const crowdedList = listIds.find((id, i) => valuesByList[i].length > config.maxElementPerPage);
+        if (crowdedList !== undefined) {
+            return Promise.reject(new Error('atomicAppendMany appends ' + config.maxElementPerPage + ' values per list at most, LinkedList ' + crowdedList + ' got more'));
+        }
+
+        const timestamp = nextAppendTimestamp();
+        return Promise.all(listIds.map(function(id, i) {
+            return getAppendTarget(id).then(function(target) {
+                //The same value can go to several lists: each of them gets its own copy, with its own stripe_id
+                const values = valuesByList[i].map(function(value) {
+                    const copy = Object.assign({}, value, { appended_at: timestamp });
+                    if (target.stripeId !== undefined) {
+                        copy.stripe_id = target.stripeId;
+                    }
+                    return copy;
+                });
+                return Promise.all(values.map(value => encodeValue(target.listId, value))).then(function(storedValues) {
+                    const valueTooLarge = checkValuesSize(id, storedValues);
+                    if (valueTooLarge) {
+                        throw valueTooLarge;
+                    }
+                    return { id: id, target: target, storedValues: storedValues };
+                });
+            });
+        }))
+        .then(function(appends) {
+            console.log('Appending to ' + appends.length + ' LinkedLists in a transaction');
+            return transactAppends(appends, 0);
+        })
+        .then(function(plans) {
+            return Promise.all(plans.map(function(plan) {
+                const listId = plan.append.target.listId;
+                const numberOfValues = plan.append.storedValues.length;
+                const pageState = {
+                    numberOfElementInPage: plan.firstSequenceId + numberOfValues,
+                    pageSizeInBytes: plan.pageSizeInBytes
+                };
+                const lastValueSize = sizeInBytes(plan.append.storedValues[numberOfValues - 1]);
+                countEvent('itemsAppended', listId, numberOfValues);
+                //The page closed by a rollover of the transaction is counted in the statistics of the list
+                const recordingStatistics = plan.closedPageItems !== undefined ? recordPageStatistics(listId, plan.closedPageItems) : Promise.resolve();
+                //The values are in, a failed rollover is done by the next append
+                return recordingStatistics.then(() => increaseCapacityIfNeeded(listId, plan.pageId, pageState, lastValueSize))
+                    .catch(function(err) {
+                        console.log('Error happened when rolling over LinkedList ' + listId + ' after a transaction: ' + JSON.stringify(err));
+                    });
+            }))
+            .then(function() {
+                const appendedByList = {};
+                return entries.map(function(entry) {
+                    const plan = plans.find(candidate => candidate.append.id === entry.id);
+                    appendedByList[entry.id] = (appendedByList[entry.id] || 0) + 1;
+                    const pointer = { page_id: plan.pageId, sequence_id: plan.firstSequenceId + appendedByList[entry.id] - 1 };
+                    return stripePointer(pointer, plan.append.target);
+                });
+            });
+        });
+    }
+
+    /* Returns what the summary and the current page know about the list:
+    { id, metadata, metadataVersion, createdAt, lastAppendAt, itemCount, firstPage, currentPage }
+    The appends never write the summary (it would make it a hotspot), the statistics of a page are added to it when it is closed by a rollover.
+    itemCount is approximate: the items of the closed pages as counted at their rollover (removed, trimmed or expired ones included,
+    late appends to a page already closed missed) plus the items of the current page. lastAppendAt is the appended_at of the last item
+    of the current page, or when the last page was closed. lastAppendAt is undefined until the first append.
+    For a striped list, the statistics are the ones of all its stripes and info.stripes lists them: [{ stripe_id, firstPage, currentPage, itemCount, lastAppendAt }]. */
+    store.getListInfo = function(id) {
+        return getPageData(id, constants.labels.summary).then(function(summary) {
+            if (!summary) {
+                throw new errors.ListNotFoundError(id);
+            }
+            const info = {
+                id: id,
+                metadata: summary.metadata,
+                metadataVersion: summary.metadataVersion || 0,
+                createdAt: summary.submittedAt,
+                lastAppendAt: undefined,
+                itemCount: undefined,
+                firstPage: summary.firstPage || 0,
+                currentPage: summary.currentPage
+            };
+            if (!summary.stripes) {
+                return readListStatistics(id, summary).then(statistics => Object.assign(info, statistics));
+            }
+            return Promise.all(stripeIds(summary.stripes).map(function(stripeId) {
+                const stripeListId = getStripeListId(id, stripeId);
+                const fields = ['firstPage', 'currentPage', 'itemCount', 'lastAppendAt'];
+                return getPageData(stripeListId, constants.labels.summary, fields).then(function(stripeSummary) {
+                    if (!stripeSummary) {
+                        throw new errors.ListNotFoundError(stripeListId);
+                    }
+                    return readListStatistics(stripeListId, stripeSummary).then(function(statistics) {
+                        return {
+                            stripe_id: stripeId,
+                            firstPage: stripeSummary.firstPage || 0,
+                            currentPage: stripeSummary.currentPage,
+                            itemCount: statistics.itemCount,
+                            lastAppendAt: statistics.lastAppendAt
+                        };
+                    });
+                });
+            }))
+            .then(function(stripes) {
+                info.stripes = stripes;
+                info.itemCount = stripes.reduce((total, stripe) => total + (stripe.itemCount || 0), 0);
+                const lastAppends = stripes.map(stripe => stripe.lastAppendAt).filter(lastAppendAt => lastAppendAt !== undefined);
+                info.lastAppendAt = lastAppends.length > 0 ? Math.max.apply(null, lastAppends) : undefined;
+                return info;
+            });
+        });
+    }
+
+    /* { itemCount, lastAppendAt } of a list (or stripe), from the statistics of its summary and its current page. */
+    const readListStatistics = function(id, summary) {
+        return getPageData(id, '_' + summary.currentPage, 'data_list').then(function(page) {
+            const data_list = page && Array.isArray(page.data_list) ? page.data_list : [];
+            const appendTimes = data_list.map(item => item && item.appended_at).filter(appendedAt => appendedAt !== undefined);
+            return {
+                itemCount: summary.itemCount !== undefined ? summary.itemCount + data_list.length : undefined,
+                lastAppendAt: appendTimes.length > 0 ? Math.max.apply(null, appendTimes) : summary.lastAppendAt
+            };
+        });
+    }
+
+    /* Replaces the metadata of the list, if they are still at expectedVersion (the metadataVersion returned by getListInfo).
+    Fails with a MetadataConflictError if they have been updated in between, read them again and retry.
+    Without expectedVersion the metadata are replaced whatever their version (still failing if updated during the call).
+    Returns the new metadataVersion. */
+    store.updateMetadata = function(id, metadata, expectedVersion) {
+        return getPageData(id, constants.labels.summary, ['id', 'metadataVersion']).then(function(summary) {
+            if (!summary) {
+                throw new errors.ListNotFoundError(id);
+            }
+            const currentVersion = summary.metadataVersion || 0;
+            if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+                throw new errors.MetadataConflictError(id, expectedVersion, currentVersion);
+            }
+            console.log('Updating the metadata of LinkedList ' + id + ' to version ' + (currentVersion + 1));
+            return storage.updateItem(id + constants.labels.summary, { metadata: metadata, metadataVersion: currentVersion + 1 }, { metadataVersion: summary.metadataVersion })
+                .then(() => currentVersion + 1, function(err) {
+                    if (err.code === 'ConditionalCheckFailedException') {
+                        throw new errors.MetadataConflictError(id, currentVersion, undefined, err);
+                    }
+                    throw errors.storageError('Could not update the metadata of LinkedList ' + id, id, 'summary', err);
+                });
+        });
+    }
+
+    /* This retrieve what is the current page (which is also the ‘last’ page) on which you should write (or stop reading). */
+    store.getCurrentPage = function(id) {
+        return getCurrentPage(id);
+    }
+
+    /* Get the page, can be use to check if a page exists */
+    store.getPage = function(id, pageId) {
+        return getPageData(id, pageId);
+    }
+
+    /* This retrieve the entire content of a page and return all the elements contained into it.
+    Removed items are hidden unless options.includeRemoved is set. */
+    store.retrieve = function(id, pageId, options) {
+        const addPageIdInResult = function(data) {
+            return {
+                page_id: pageId+''.replace('_',''),
+                data: data
+            }
+        }
+
+        if ('_' + pageId === constants.labels.summary) {
+            return getPageData(id, constants.labels.summary).then(addPageIdInResult);
+        }
+        else {
+            return retrieveDataList(id, pageId)
+                .then(function(data_list) {
+                    if (data_list && data_list.length > 0) {
+                        return visibleItems(data_list, options);
+                    }
+                    //The pages of a striped list stay blank, its items are in the pages of its stripes
+                    return getPageData(id, constants.labels.summary, 'stripes').then(function(summary) {
+                        if (summary && summary.stripes) {
+                            throw stripedListError(id, 'retrieve');
+                        }
+                        return data_list && visibleItems(data_list, options);
+                    });
+                })
+                .then(addPageIdInResult);
+        }
+    }
+
+    /* It will retrieve the top N most recent item that has been appended to the linkedlist.
+    Be careful to bufferoverflow here. Avoid asking for a crazy amount
+    Without callback, it returns a promise rejected if the list or one of its pages can't be read (missing pages are still silently skipped).
+    With a callback, the callback is called with the items, or with the error when the retrieval failed.
+    Instead of the callback, you can pass options: { includeRemoved } to also get the removed items (tombstones), like every retrieval function.
+    With options.ordered, the four retrieve*MostRecent/*Oldest functions return the items in their true append order (see retrieveOrdered)
+    instead of their order in the pages, the pointers of those items can be passed back to them (with ordered set too). */
+    store.retrieveLastMostRecent = function(id, numberOfItems, callbackOrOptions) {
+        const callback = getCallback(callbackOrOptions);
+        const options = getOptions(callbackOrOptions);
+        const retrieval = getListBounds(id)
+        .then(function(bounds) {
+            if (bounds.stripes) {
+                return retrieveStriped(id, bounds.stripes, undefined, numberOfItems, false, options);
+            }
+            if (options.ordered) {
+                return retrieveOrdered(id, bounds, undefined, numberOfItems, false, options);
+            }
+            return retrieveNElement(id, bounds.currentPage, null, numberOfItems, bounds, options);
+        });
+        return promiseOrCallback(retrieval, callback);
+    }
+
+    /* Retrieves the items appended between from and to (timestamps in ms or Dates, both included), sorted by appended_at.
+    The first page to read is found by a binary search over the creation time (submittedAt) of the pages, then pages are read forward
+    until one is created after to. Because of the best effort ordering an item can land in a page created a few seconds after it,
+    options.toleranceInMs (default 10s) widens the pages searched on both sides so those items are still found.
+    Items appended before appended_at existed are never returned, an updated item keeps its appended_at only if newValue still carries it.
+    Takes the legacy callback or options ({ includeRemoved, toleranceInMs }) like every retrieval function. */
+    store.retrieveByTimeRange = function(id, from, to, callbackOrOptions) {
+        const options = getOptions(callbackOrOptions);
+        const fromTime = new Date(from).getTime();
+        const toTime = new Date(to).getTime();
+        const toleranceInMs = options.toleranceInMs !== undefined ? options.toleranceInMs : constants.timeRangeToleranceInMs;
+
+        const retrieval = getSingleListBounds(id, 'retrieveByTimeRange').then(function(bounds) {
+            return findLastPageCreatedBefore(id, bounds, fromTime - toleranceInMs).then(function(lastPageCreatedBefore) {
+                const startPage = includeMergedPages(bounds, lastPageCreatedBefore);
+                var items = [];
+                const readPage = function(pageId) {
+                    if (pageId > bounds.currentPage) {
+                        return Promise.resolve();
+                    }
+                    if (bounds.pageMap[pageId]) {
+                        return readPage(pageId + 1);
+                    }
+                    console.log('Requesting page: ' + pageId + ' for the time range of LinkedList: ' + id);
+                    return getPageData(id, '_' + pageId, ['data_list', 'submittedAt']).then(function(page) {
+                        if (page && page.submittedAt > toTime + toleranceInMs) {
+                            return;
+                        }
+                        if (!page || !page.data_list) {
+                            return readPage(pageId + 1);
+                        }
+                        return decodeDataList(id, pageId, page.data_list).then(function(data_list) {
+                            items = items.concat(indexDataList(data_list, pageId, id));
+                            return readPage(pageId + 1);
+                        });
+                    });
+                }
+                return readPage(startPage).then(function() {
+                    const itemsInRange = items.filter(item => item.appended_at >= fromTime && item.appended_at <= toTime);
+                    return visibleItems(itemsInRange, options).sort((a, b) => a.appended_at - b.appended_at);
+                });
+            });
+        });
+        return promiseOrCallback(retrieval, getCallback(callbackOrOptions));
+    }
+
+    /*
+    put null into fromSequence to retrieve from the maximum item in the list
+    It stops at bounds.firstPage, the logical head of the list (pages before it have been trimmed or expired)
+    and skips the pages of bounds.pageMap without reading them (blank or merged by compact)
+    */
+    const retrieveNElement = function(id, fromPage, fromSequence, numberOfItems, bounds, options) {
+        var retrievedData = [];
+        const recursivelyRetrieveData = function(currentPage) {
+            if (currentPage < bounds.firstPage) {
+                return Promise.resolve();
+            }
+            if (bounds.pageMap[currentPage]) {
+                fromSequence = undefined;
+                return recursivelyRetrieveData(currentPage - 1);
+            }
+            console.log('Requesting page: ' + currentPage + ' # of items found for now:' + retrievedData.length);
+            return retrieveDataList(id, currentPage)
+            .then(function(data_list) {
+                if (data_list && data_list.length > 0) {
+                    console.log('DB returning ' + data_list.length);
+                    if (fromSequence) {
+                        console.log('Cutting data above the sequence id: ' + fromSequence);
+                        data_list.splice(fromSequence, data_list.length - fromSequence);
+                        console.log('Data after cut: ' + data_list.length);
+                    }
+                    retrievedData = retrievedData.concat(visibleItems(data_list, options).reverse());
+                }
+                if (retrievedData.length < numberOfItems) {
+                    fromSequence = undefined;
+                    return recursivelyRetrieveData(currentPage - 1);
+                }
+            });
+        }
+        return recursivelyRetrieveData(fromPage).then(function() {
+            if (retrievedData.length > numberOfItems) {
+                retrievedData = retrievedData.slice(0, numberOfItems);
+            }
+            return retrievedData;
+        });
+    }
+
+    /* It will retrieve the next N most recent item that has been appended to the linkedlist. 
+    To use this, you need to specify where the algorithm should start reading.
+    Each object retrieved from the Linkedlist contains a PageId, and a SequenceId, this is what
+    you need to use to generate the pointer to dictate where to start reading.
+    Like retrieveLastMostRecent, it returns a promise when no callback is given.
+    */
+    store.retrieveNextMostRecent = function(id, startAfterPointer, numberOfItems, callbackOrOptions) {
+        const callback = getCallback(callbackOrOptions);
+        if (!isValidPointer(startAfterPointer)) {
+            return invalidPointer(callback);
+        }
+
+        const options = getOptions(callbackOrOptions);
+        const retrieval = getListBounds(id)
+        .then(function(bounds) {
+            if (bounds.stripes) {
+                return retrieveStriped(id, bounds.stripes, startAfterPointer, numberOfItems, false, options);
+            }
+            if (options.ordered) {
+                return retrieveOrdered(id, bounds, startAfterPointer, numberOfItems, false, options);
+            }
+            const pointer = getValidPointer(resolvePointer(bounds.pageMap, startAfterPointer));
+            return retrieveNElement(id, pointer.page_id, pointer.sequence_id, numberOfItems, bounds, options);
+        });
+        return promiseOrCallback(retrieval, callback);
+    }
+
+    /* It will retrieve the N oldest items of the linkedlist, starting from page 0 (oldest first).
+    Like retrieveLastMostRecent, it returns a promise when no callback is given. */
+    store.retrieveFirstOldest = function(id, numberOfItems, callbackOrOptions) {
+        const options = getOptions(callbackOrOptions);
+        const retrieval = getListBounds(id).then(function(bounds) {
+            if (bounds.stripes) {
+                return retrieveStriped(id, bounds.stripes, undefined, numberOfItems, true, options);
+            }
+            if (options.ordered) {
+                return retrieveOrdered(id, bounds, undefined, numberOfItems, true, options);
+            }
+            const iteratorOptions = Object.assign({}, options, { direction: 'forward' });
+            return collectItems(createItemIterator(id, iteratorOptions), numberOfItems);
+        });
+        return promiseOrCallback(retrieval, getCallback(callbackOrOptions));
+    }
+
+    /* It will retrieve the next N items appended after the pointer (oldest first).
+    The pointer is the page_id and sequence_id of an object retrieved from the Linkedlist, like for retrieveNextMostRecent.
+    It stops at the current page, blank pages are skipped.
+    */
+    store.retrieveNextOldest = function(id, startAfterPointer, numberOfItems, callbackOrOptions) {
+        const callback = getCallback(callbackOrOptions);
+        if (!isValidPointer(startAfterPointer)) {
+            return invalidPointer(callback);
+        }
+        const options = getOptions(callbackOrOptions);
+        const retrieval = getListBounds(id).then(function(bounds) {
+            if (bounds.stripes) {
+                return retrieveStriped(id, bounds.stripes, startAfterPointer, numberOfItems, true, options);
+            }
+            if (options.ordered) {
+                return retrieveOrdered(id, bounds, startAfterPointer, numberOfItems, true, options);
+            }
+            const iteratorOptions = Object.assign({}, options, { direction: 'forward', startAfterPointer: startAfterPointer });
+            return collectItems(createItemIterator(id, iteratorOptions), numberOfItems);
+        });
+        return promiseOrCallback(retrieval, callback);
+    }
+
+    /* Returns an async iterator over the items of the linkedlist, to be used with "for await (const item of iterate(id))".
+    options.direction: 'forward' (oldest first, from page 0 up to the current page, default) or 'backward' (most recent first, down to page 0)
+    options.startAfterPointer: optional page_id/sequence_id of an item, the iteration starts right after it (in the chosen direction)
+    options.includeRemoved: also iterate over the removed items (tombstones)
+    Blank pages are skipped. Pages are read one by one, only when the previous one has been consumed.
+    When going forward, the current page is re-read once reached so pages created during the iteration are also visited.
+    */
+    store.iterate = function(id, options) {
+        return createItemIterator(id, options);
+    }
+
+    const createItemIterator = function(id, options) {
+        options = options || {};
+        const forward = options.direction !== 'backward';
+        var startAfterPointer = options.startAfterPointer;
+        var pageMap = {};
+
+        var bufferedItems = [];
+        var nextPageToRead = undefined;
+        var lastKnownCurrentPage = undefined;
+        var firstPage = 0;
+        var finished = false;
+
+        const initialize = function() {
+            if (lastKnownCurrentPage !== undefined) {
+                return Promise.resolve();
+            }
+            return getSingleListBounds(id, 'iterate').then(function(bounds) {
+                lastKnownCurrentPage = bounds.currentPage;
+                firstPage = bounds.firstPage;
+                pageMap = bounds.pageMap;
+                if (startAfterPointer) {
+                    startAfterPointer = resolvePointer(pageMap, startAfterPointer);
+                    nextPageToRead = Math.max(parseInt(startAfterPointer.page_id), firstPage);
+                }
+                else {
+                    nextPageToRead = forward ? firstPage : bounds.currentPage;
+                }
+            });
+        }
+
+        const refreshCurrentPageIfReached = function() {
+            if (!forward || nextPageToRead <= lastKnownCurrentPage) {
+                return Promise.resolve();
+            }
+            return getCurrentPage(id).then(function(currentPage) {
+                lastKnownCurrentPage = currentPage;
+            });
+        }
+
+        const readNextPage = function() {
+            return refreshCurrentPageIfReached().then(function() {
+                if ((forward && nextPageToRead > lastKnownCurrentPage) || (!forward && nextPageToRead < firstPage)) {
+                    finished = true;
+                    return;
+                }
+
+                const pageId = nextPageToRead;
+                nextPageToRead = forward ? pageId + 1 : pageId - 1;
+                if (pageMap[pageId]) {
+                    return;
+                }
+                return retrieveDataList(id, pageId).then(function(data_list) {
+                    var items = data_list || []; //Blank page, ignoring
+                    if (startAfterPointer && pageId === parseInt(startAfterPointer.page_id)) {
+                        const sequenceId = parseInt(startAfterPointer.sequence_id);
+                        items = forward ? items.slice(sequenceId + 1) : items.slice(0, sequenceId);
+                    }
+                    items = visibleItems(items, options);
+                    bufferedItems = forward ? items : items.reverse();
+                });
+            });
+        }
+
+        const next = function() {
+            const nextItem = function() {
+                if (bufferedItems.length > 0) {
+                    return { done: false, value: bufferedItems.shift() };
+                }
+                if (finished) {
+                    return { done: true, value: undefined };
+                }
+                return readNextPage().then(nextItem);
+            }
+            return initialize().then(nextItem);
+        }
+
+        return {
+            next: next,
+            [Symbol.asyncIterator]: function() {
+                return this;
+            }
+        };
+    }
+
+    /* Watches the linkedlist and emits the items appended after fromPointer (or after the last item when fromPointer is not given).
+    Returns an EventEmitter with a stop() function, emitting:
+    - 'item' (item): each new item, with its page_id/sequence_id, once
+    - 'error' (err): a poll failed, watching goes on (with back off) until stop() is called.
+      A fromPointer after the current page fails with ItemNotFoundError (until the list reaches its page), a striped list has to be watched stripe by stripe.
+    It can be consumed as an async iterator with require('events').on(watcher, 'item').
+    The current page counter and the length of its data_list are polled every options.pollIntervalInMs (default 1s),
+    the interval doubles after each poll finding nothing new up to options.maxPollIntervalInMs (default 30s).
+    After a rollover the previous pages are still polled during options.lateItemWindowInMs (default 10s), so the late appends
+    of the best effort ordering are emitted too (after items of later pages).
+    options.includeRemoved: also emit the removed items (tombstones) */
+    store.watch = function(id, fromPointer, options) {
+        options = options || {};
+        const pollIntervalInMs = options.pollIntervalInMs || constants.watch.pollIntervalInMs;
+        const maxPollIntervalInMs = Math.max(options.maxPollIntervalInMs || constants.watch.maxPollIntervalInMs, pollIntervalInMs);
+        const lateItemWindowInMs = options.lateItemWindowInMs !== undefined ? options.lateItemWindowInMs : constants.watch.lateItemWindowInMs;
+        const watcher = new EventEmitter();
+
+        //Pages polled, keyed by page id: number of items already seen and when a later page was first seen
+        var openPages = undefined;
+        var interval = pollIntervalInMs;
+        var timer = undefined;
+        var stopped = false;
+
+        const initialize = function() {
+            return getSingleListBounds(id, 'watch').then(function(bounds) {
+                if (fromPointer) {
+                    if (!isValidPointer(fromPointer)) {
+                        throw new Error('No valid pointer has been set');
+                    }
+                    const pointer = resolvePointer(bounds.pageMap, fromPointer);
+                    if (pointer.page_id > bounds.currentPage) {
+                        throw new errors.ItemNotFoundError(id, pointer);
+                    }
+                    openPages = {};
+                    for (var pageId = pointer.page_id; pageId <= bounds.currentPage; pageId++) {
+                        openPages[pageId] = { seenItems: pageId === pointer.page_id ? pointer.sequence_id + 1 : 0 };
+                    }
+                    return;
+                }
+                return retrieveDataList(id, bounds.currentPage).then(function(data_list) {
+                    openPages = {};
+                    openPages[bounds.currentPage] = { seenItems: data_list ? data_list.length : 0 };
+                });
+            });
+        }
+
+        const poll = function() {
+            return getListBounds(id).then(function(bounds) {
+                const now = new Date().getTime();
+                const openPageIds = Object.keys(openPages).map(pageId => parseInt(pageId));
+                const lastOpenPage = openPageIds.length > 0 ? Math.max.apply(null, openPageIds) : bounds.currentPage - 1;
+                for (var pageId = lastOpenPage + 1; pageId <= bounds.currentPage; pageId++) {
+                    console.log('Watching new page ' + pageId + ' of LinkedList: ' + id);
+                    openPages[pageId] = { seenItems: 0 };
+                }
+                Object.keys(openPages).forEach(function(pageId) {
+                    pageId = parseInt(pageId);
+                    if (pageId < bounds.currentPage && openPages[pageId].closedAt === undefined) {
+                        openPages[pageId].closedAt = now;
+                    }
+                    if (openPages[pageId].closedAt < now - lateItemWindowInMs || bounds.pageMap[pageId]) {
+                        delete openPages[pageId];
+                    }
+                });
+
+                const pageIds = Object.keys(openPages).map(pageId => parseInt(pageId)).sort((a, b) => a - b);
+                return Promise.all(pageIds.map(pageId => retrieveDataList(id, pageId))).then(function(dataLists) {
+                    var newItems = [];
+                    pageIds.forEach(function(pageId, index) {
+                        const data_list = dataLists[index] || [];
+                        newItems = newItems.concat(data_list.slice(openPages[pageId].seenItems));
+                        openPages[pageId].seenItems = Math.max(openPages[pageId].seenItems, data_list.length);
+                    });
+                    return visibleItems(newItems, options);
+                });
+            });
+        }
+
+        const scheduleNextPoll = function() {
+            if (!stopped) {
+                timer = setTimeout(pollAndEmit, interval);
+            }
+        }
+
+        const pollAndEmit = function() {
+            const polling = openPages === undefined ? initialize().then(poll) : poll();
+            return polling.then(function(newItems) {
+                interval = newItems.length > 0 ? pollIntervalInMs : Math.min(interval * 2, maxPollIntervalInMs);
+                newItems.forEach(function(item) {
+                    if (!stopped) {
+                        watcher.emit('item', item);
+                    }
+                });
+            }, function(err) {
+                interval = Math.min(interval * 2, maxPollIntervalInMs);
+                console.log('Error happened when watching LinkedList ' + id + ': ' + JSON.stringify(err));
+                if (!stopped && watcher.listenerCount('error') > 0) {
+                    watcher.emit('error', err);
+                }
+            })
+            .then(scheduleNextPoll);
+        }
+
+        watcher.stop = function() {
+            stopped = true;
+            clearTimeout(timer);
+        }
+
+        pollAndEmit();
+        return watcher;
+    }
+
+    /* Pages get a "ttl" attribute (epoch in seconds) set timeToLiveInSeconds after their creation, so DynamoDB TTL (enabled on "ttl") deletes them.
+    Readers silently skip the deleted pages, expireOlderThan also moves the head of the list so they don't even try to read them.
+    If the current page itself expires, the next append re-creates it. */
+    store.configureTimeToLive = function(timeToLiveInSeconds) {
+        if (timeToLiveInSeconds) {
+            config.timeToLiveInSeconds = timeToLiveInSeconds;
+        }
+    }
+
+    /* Deletes every page of the list, newest to oldest, then its summary page. Stop the writers first, a page created by an in-flight append would be left behind.
+    The summary goes last so a failed deletion can simply be run again: the list is still found, and a page already gone is skipped.
+    Each page is read first, the overflow items of its values are deleted before it.
+    The idempotency records (<id>_idempotency_<key>) can't be found without scanning the table and are left behind too.
+    deletedPages counts the pages that were still there, a page already deleted (by compact or an earlier run) is not counted.
+    The stripes of a striped list are deleted before its summary, their pages are counted in deletedPages. */
+    store.deleteList = function(id) {
+        return getListBounds(id).then(function(bounds) {
+            console.log('Deleting LinkedList: ' + id);
+            return Promise.all(stripeIds(bounds.stripes || 0).map(function(stripeId) {
+                return store.deleteList(getStripeListId(id, stripeId)).catch(function(err) {
+                    if (err.code !== 'pageNotFound') {
+                        throw err;
+                    }
+                    return { deletedPages: 0 };
+                });
+            }))
+            .then(function(deletedStripes) {
+                return deletePagesNewestFirst(id, bounds.firstPage, bounds.currentPage)
+                    .then(function(deletedPages) {
+                        return deleteItem(id, constants.labels.publicSummary).then(function() {
+                            const deletedStripePages = deletedStripes.reduce((total, deleted) => total + deleted.deletedPages, 0);
+                            return { deletedPages: deletedPages + deletedStripePages };
+                        });
+                    });
+            });
+        });
+    }
+
+    /* Deletes the oldest pages, keeping at least the numberOfItems most recent items (the page holding the oldest of them is kept whole).
+    The head of the list is moved first (CAS on the summary), so readers stop at it and never see the deleted pages. The current page is never deleted.
+    Returns the new firstPage and the number of pages deleted. */
+    store.trimToLast = function(id, numberOfItems) {
+        return moveFirstPage(id, 'trimToLast', function(bounds) {
+            const findPageKeepingLastItems = function(pageId, numberOfItemsFound) {
+                if (pageId <= bounds.firstPage) {
+                    return Promise.resolve(bounds.firstPage);
+                }
+                return retrieveDataList(id, pageId).then(function(data_list) {
+                    const total = numberOfItemsFound + (data_list ? data_list.length : 0);
+                    if (total >= numberOfItems) {
+                        return pageId;
+                    }
+                    return findPageKeepingLastItems(pageId - 1, total);
+                });
+            }
+            return findPageKeepingLastItems(bounds.currentPage, 0);
+        });
+    }
+
+    /* Deletes the pages whose items are all older than maxAgeInMs, based on the page submittedAt:
+    a page only holds items appended before the next page has been created, so every page before the last page created before the cutoff is expired.
+    Like trimToLast, the head is moved first and the current page is never deleted. */
+    store.expireOlderThan = function(id, maxAgeInMs) {
+        const cutoff = new Date().getTime() - maxAgeInMs;
+        return moveFirstPage(id, 'expireOlderThan', function(bounds) {
+            const findLastPageCreatedBeforeCutoff = function(pageId, candidate) {
+                if (pageId > bounds.currentPage) {
+                    return Promise.resolve(candidate);
+                }
+                return getPageData(id, '_' + pageId, 'submittedAt').then(function(page) {
+                    if (page && page.submittedAt > cutoff) {
+                        return candidate;
+                    }
+                    //Blank pages don't tell anything, ignoring
+                    const isKnown = page && page.submittedAt !== undefined;
+                    return findLastPageCreatedBeforeCutoff(pageId + 1, isKnown ? pageId : candidate);
+                });
+            }
+            return findLastPageCreatedBeforeCutoff(bounds.firstPage, bounds.firstPage);
+        });
+    }
+
+    /* Replaces the item at this pointer (page_id/sequence_id), its sequence_id stays the same for the other readers.
+    It is a conditional update on data_list[sequence_id]: it fails with ItemNotFoundError if there is no item there or if it has been removed.
+    On a striped list, the pointer needs its stripe_id, and newValue the appended_at of the item to keep its place when the stripes are merged.
+    Note: newValue needs to be an object, as we append extra propery to it (updated_at) */
+    store.updateItem = function(id, pointer, newValue) {
+        if (!isValidPointer(pointer)) {
+            return invalidPointer();
+        }
+        newValue.updated_at = new Date().getTime();
+        const listId = getPointerListId(id, pointer);
+        const stripeId = getPointerStripeId(pointer);
+        if (stripeId !== undefined) {
+            newValue.stripe_id = stripeId;
+        }
+        return encodeValue(listId, newValue).then(function(storedValue) {
+            const valueTooLarge = checkValuesSize(id, [storedValue]);
+            if (valueTooLarge) {
+                throw valueTooLarge;
+            }
+            return setItemAtPointer(listId, pointer, storedValue, { tombstone: undefined }).catch(function(err) {
+                if (!(err instanceof errors.ItemNotFoundError)) {
+                    throw err;
+                }
+                //The new value has not been written
+                return deleteOverflowItems(listId, pointer.page_id, [storedValue]).then(function() {
+                    throw err;
+                });
+            });
+        })
+        .then(updatedPointer => stripePointer(updatedPointer, { stripeId: stripeId }));
+    }
+
+    /* Replaces the item at this pointer with a tombstone: its content is gone but its sequence_id stays taken, so the other pointers are still valid.
+    Retrieval functions hide the tombstones unless options.includeRemoved is set. Removing an item twice succeeds. */
+    store.removeItem = function(id, pointer) {
+        if (!isValidPointer(pointer)) {
+            return invalidPointer();
+        }
+        return setItemAtPointer(getPointerListId(id, pointer), pointer, getTombstone(), {})
+            .then(removedPointer => stripePointer(removedPointer, { stripeId: getPointerStripeId(pointer) }));
+    }
+
+    /* Compaction of the pages that races left blank or under-filled, on busy lists they cost a GetItem each for nothing.
+    Only the sealed pages are compacted: the pages closed (next page created) more than options.gracePeriodInMs ago (default 60s),
+    late appends racing with a rollover only happen in the few seconds after it. The current page is never touched.
+    - a blank page (missing or empty) is recorded as { blank: true } in the pageMap of the summary, and deleted
+    - a page whose items fit in the room left of an earlier sealed page is merged into it: its items are appended to that page and it is recorded as
+      { page, offset, count } in the pageMap (its items now live at sequence offset + sequence_id of that page), then deleted
+    Readers skip the pages of the pageMap without reading them, and pointers to merged pages are forwarded to their new page.
+    While a page is being merged its items can be missing from reads. Run only one compaction at a time on a list.
+    Returns { blankPages, mergedPages, movedItems }. */
+    store.compact = function(id, options) {
+        options = options || {};
+        const gracePeriodInMs = options.gracePeriodInMs !== undefined ? options.gracePeriodInMs : constants.compactionGracePeriodInMs;
+        const report = { blankPages: 0, mergedPages: 0, movedItems: 0 };
+        var bounds;
+
+        return getSingleListBounds(id, 'compact')
+        .then(() => finishInterruptedMerges(id))
+        .then(() => getListBounds(id))
+        .then(function(listBounds) {
+            bounds = listBounds;
+            return loadPages(id, bounds);
+        })
+        .then(function(pages) {
+            const cutoff = new Date().getTime() - gracePeriodInMs;
+            //A page is sealed once a page after it has been created before the cutoff
+            var sealedLimit = bounds.firstPage;
+            Object.keys(pages).forEach(function(pageId) {
+                if (pages[pageId] && pages[pageId].submittedAt <= cutoff) {
+                    sealedLimit = Math.max(sealedLimit, parseInt(pageId));
+                }
+            });
+
+            var targetPageId = undefined;
+            var targetLength = 0;
+            var targetSizeInBytes = 0;
+            const fitsInTarget = function(dataList) {
+                return targetPageId !== undefined && targetLength + dataList.length <= config.maxElementPerPage
+                    && (!config.maxPageSizeInBytes || targetSizeInBytes + sizeInBytes(dataList) <= config.maxPageSizeInBytes);
+            }
+            const compactPage = function(pageId) {
+                if (pageId >= sealedLimit) {
+                    return Promise.resolve(report);
+                }
+                if (bounds.pageMap[pageId]) {
+                    return compactPage(pageId + 1);
+                }
+                const dataList = pages[pageId] && pages[pageId].data_list;
+                if (!dataList || dataList.length === 0) {
+                    report.blankPages++;
+                    return recordInPageMap(id, pageId, { blank: true })
+                        .then(() => deleteItem(id, pageId))
+                        .then(() => compactPage(pageId + 1));
+                }
+                if (fitsInTarget(dataList)) {
+                    const mapping = { page: targetPageId, offset: targetLength, count: dataList.length };
+                    targetLength += dataList.length;
+                    targetSizeInBytes += sizeInBytes(dataList);
+                    report.mergedPages++;
+                    report.movedItems += dataList.length;
+                    return recordInPageMap(id, pageId, mapping)
+                        .then(() => mergePage(id, pageId, dataList, mapping))
+                        .then(() => compactPage(pageId + 1));
+                }
+                targetPageId = dataList.length < config.maxElementPerPage ? pageId : undefined;
+                targetLength = dataList.length;
+                targetSizeInBytes = sizeInBytes(pages[pageId]);
+                return compactPage(pageId + 1);
+            }
+            return compactPage(bounds.firstPage);
+        });
+    }
+
+    /* Walks the summary and every page of the list, returns a report:
+    { id, firstPage, currentPage, checkedPages, blankPages, problems, healthy }
+    blankPages are the pages left missing or empty by races (not a problem, compact removes them).
+    Each problem is { type, page_id, message, repairable } (and sequence_id for an item), the types are:
+    - currentPageMissing: the summary points to a page that does not exist, appends fail until it is created
+      (not reported when the current page is the first page: nothing has been appended yet, the first append creates it)
+    - pageAfterCurrentPage: pages exist after the current page of the summary (page_id is the last one)
+    - dataListMissing: the page exists but has no data_list
+    - interruptedMerge: a compaction stopped in the middle of the merge of this page
+    - pageOverCapacity: the page holds more than maxElementPerPage items (not repairable)
+    - invalidItem: the item is not an object (not repairable)
+    - brokenPageMap: the page the items of this page were merged into does not hold them (not repairable)
+    Throws a ListNotFoundError if the summary is missing. */
+    store.verifyList = function(id) {
+        return getSingleListBounds(id, 'verifyList').then(function(bounds) {
+            return inspectList(id, bounds);
+        });
+    }
+
+    /* Verifies the list and fixes the repairable problems, without moving or deleting any item:
+    a missing current page is created, the current page of the summary is moved to the last page, a missing data_list is initialized
+    and the interrupted merges are finished. Returns { repaired: [problems fixed], report: verifyList report after the repair }. */
+    store.repairList = function(id) {
+        var repaired = [];
+        return getSingleListBounds(id, 'repairList').then(function(bounds) {
+            return inspectList(id, bounds).then(function(report) {
+                const repairProblem = function(index) {
+                    if (index >= report.problems.length) {
+                        return Promise.resolve();
+                    }
+                    const problem = report.problems[index];
+                    if (!problem.repairable) {
+                        return repairProblem(index + 1);
+                    }
+                    return repairs[problem.type](id, bounds, problem).then(function() {
+                        repaired.push(problem);
+                        return repairProblem(index + 1);
+                    });
+                }
+                return repairProblem(0);
+            });
+        })
+        .then(() => store.verifyList(id))
+        .then(function(report) {
+            return { repaired: repaired, report: report };
+        });
+    }
+
+    /* Rewrites the summary and the pages of the list in the latest layout (see page_versions), while appends continue.
+    Each page is rewritten with a CAS on its version and on the attributes the upgrade changed (data_list for a data page):
+    when an append lands in between, the page is read and upgraded again (up to constants.migrationAttempts times).
+    Readers upgrade the pages they read anyway, migrating only saves them the work and lets an older layout be dropped.
+    Returns { migratedPages, upToDatePages } (the summary counts as a page). */
+    store.migrateList = function(id) {
+        const report = { migratedPages: 0, upToDatePages: 0 };
+        const migratePage = function(pageId) {
+            return migrateItem(id, pageId).then(function(migrated) {
+                if (migrated === undefined) {
+                    return;
+                }
+                report[migrated ? 'migratedPages' : 'upToDatePages']++;
+            });
+        }
+        return getSingleListBounds(id, 'migrateList').then(function(bounds) {
+            const migrateNextPage = function(pageId) {
+                if (pageId > bounds.currentPage) {
+                    return Promise.resolve();
+                }
+                if (bounds.pageMap[pageId]) {
+                    return migrateNextPage(pageId + 1);
+                }
+                return migratePage('_' + pageId).then(() => migrateNextPage(pageId + 1));
+            }
+            return migratePage(constants.labels.summary)
+                .then(() => migrateNextPage(bounds.firstPage))
+                .then(() => report);
+        });
+    }
+
+    store.getConstants = function() {
+        return constants;
+    }
+
+    store.getCurrentConfiguration = function() {
+        return config;
+    }
+
+    /* Ordered mode of the retrieval functions: the items sorted by appended_at (monotonic for each writer), ties broken by position
+    (page_id then sequence_id), most recent first unless forward. Only the items strictly after startAfterPointer in that order are returned.
+    An item lands at most options.toleranceInMs (default 10s) away from its place in the pages: pages are read (from the page found by binary search
+    when a pointer is given) until the pages left can't hold any item of the result, which is then at most one tolerance window of extra pages.
+    Items without appended_at (appended before it existed, or removed) are ordered by their position. */
+    const retrieveOrdered = function(id, bounds, startAfterPointer, numberOfItems, forward, options) {
+        return getItemAtPointer(id, bounds, startAfterPointer).then(function(afterItem) {
+            return retrieveOrderedAfterItem(id, bounds, afterItem, numberOfItems, forward, options);
+        });
+    }
+
+    /* retrieveOrdered, starting strictly after afterItem (which can be an item of another stripe) in append order. */
+    const retrieveOrderedAfterItem = function(id, bounds, afterItem, numberOfItems, forward, options) {
+        const toleranceInMs = options.toleranceInMs !== undefined ? options.toleranceInMs : constants.timeRangeToleranceInMs;
+        const inReadOrder = forward ? compareAppendOrder : (a, b) => compareAppendOrder(b, a);
+
+        return Promise.resolve().then(function() {
+            var findStartPage = Promise.resolve(forward ? bounds.firstPage : bounds.currentPage);
+            if (afterItem && afterItem.appended_at !== undefined) {
+                const startTime = afterItem.appended_at + (forward ? -toleranceInMs : toleranceInMs);
+                findStartPage = findLastPageCreatedBefore(id, bounds, startTime).then(function(pageId) {
+                    return forward ? includeMergedPages(bounds, pageId) : pageId;
+                });
+            }
+            else if (afterItem) {
+                findStartPage = Promise.resolve(parseInt(afterItem.page_id));
+            }
+
+            var candidates = [];
+            const readPage = function(pageId) {
+                if (pageId < bounds.firstPage || pageId > bounds.currentPage) {
+                    return Promise.resolve();
+                }
+                const nextPage = forward ? pageId + 1 : pageId - 1;
+                if (bounds.pageMap[pageId]) {
+                    return readPage(nextPage);
+                }
+                return retrieveDataList(id, pageId).then(function(data_list) {
+                    const items = visibleItems(data_list || [], options);
+                    candidates = candidates
+                        .concat(items.filter(item => !afterItem || inReadOrder(afterItem, item) < 0))
+                        .sort(inReadOrder)
+                        .slice(0, numberOfItems);
+
+                    //The pages left only hold items at most one tolerance window before (or after) the ones of this page
+                    const timestamps = items.map(item => item.appended_at).filter(timestamp => timestamp !== undefined);
+                    if (candidates.length >= numberOfItems && timestamps.length > 0) {
+                        const lastCandidateTime = candidates[numberOfItems - 1].appended_at;
+                        const isComplete = forward ? Math.max.apply(null, timestamps) - toleranceInMs > lastCandidateTime
+                            : Math.min.apply(null, timestamps) + toleranceInMs < lastCandidateTime;
+                        if (isComplete) {
+                            return;
+                        }
+                    }
+                    return readPage(nextPage);
+                });
+            }
+            return findStartPage.then(readPage).then(() => candidates);
+        });
+    }
+
+    /* Striped lists (see idempotentCreate): every stripe is read in ordered mode (numberOfItems each at most) and the stripes are merged
+    in append order (appended_at, then stripe_id, page_id and sequence_id), most recent first unless forward.
+    The pointer is the one of an item of a stripe: each stripe is read from the items strictly after it in that order, so paging stays stable
+    while the writers keep appending. A removed item lost its appended_at and can't be used as a pointer anymore. */
+    const retrieveStriped = function(id, numberOfStripes, startAfterPointer, numberOfItems, forward, options) {
+        const inReadOrder = forward ? compareAppendOrder : (a, b) => compareAppendOrder(b, a);
+
+        var findAfterItem = Promise.resolve(undefined);
+        if (startAfterPointer) {
+            const stripeId = parseInt(startAfterPointer.stripe_id);
+            if (isNaN(stripeId) || stripeId < 0 || stripeId >= numberOfStripes) {
+                return Promise.reject(new Error('A pointer of the striped LinkedList ' + id + ' needs the stripe_id of its item, got: ' + JSON.stringify(startAfterPointer)));
+            }
+            const stripeListId = getStripeListId(id, stripeId);
+            findAfterItem = getListBounds(stripeListId).then(function(bounds) {
+                return getItemAtPointer(stripeListId, bounds, startAfterPointer);
+            })
+            .then(function(afterItem) {
+                if (afterItem.appended_at === undefined) {
+                    throw new Error('The item at ' + JSON.stringify(startAfterPointer) + ' of the striped LinkedList ' + id + ' has been removed, page from another item');
+                }
+                return afterItem;
+            });
+        }
+
+        return findAfterItem.then(function(afterItem) {
+            return Promise.all(stripeIds(numberOfStripes).map(function(stripeId) {
+                const stripeListId = getStripeListId(id, stripeId);
+                return getListBounds(stripeListId).then(function(bounds) {
+                    return retrieveOrderedAfterItem(stripeListId, bounds, afterItem, numberOfItems, forward, options);
+                });
+            }));
+        })
+        .then(function(itemsByStripe) {
+            const items = [].concat.apply([], itemsByStripe).sort(inReadOrder).slice(0, numberOfItems);
+            items.forEach(item => item.resource_id_parent = id);
+            return items;
+        });
+    }
+
+    /* The item at the pointer (following the pageMap) with its page_id/sequence_id, only the position is known if it can't be read. */
+    const getItemAtPointer = function(id, bounds, pointer) {
+        if (!pointer) {
+            return Promise.resolve(undefined);
+        }
+        const resolvedPointer = resolvePointer(bounds.pageMap, pointer);
+        const position = { page_id: resolvedPointer.page_id + '', sequence_id: resolvedPointer.sequence_id + '' };
+        return retrieveDataList(id, resolvedPointer.page_id).then(function(data_list) {
+            const item = (data_list || [])[resolvedPointer.sequence_id];
+            return item || position;
+        });
+    }
+
+    /* Binary search of the last page created at or before time (the first page of the list if none), blank pages are skipped. */
+    const findLastPageCreatedBefore = function(id, bounds, time) {
+        //The creation time of the closest existing page at or below pageId (down to lowerLimit), undefined if they are all blank
+        const findPageTimestamp = function(pageId, lowerLimit) {
+            if (pageId < lowerLimit) {
+                return Promise.resolve(undefined);
+            }
+            if (bounds.pageMap[pageId]) {
+                return findPageTimestamp(pageId - 1, lowerLimit);
+            }
+            return getPageData(id, '_' + pageId, 'submittedAt').then(function(page) {
+                if (!page || page.submittedAt === undefined) {
+                    return findPageTimestamp(pageId - 1, lowerLimit);
+                }
+                return { pageId: pageId, submittedAt: page.submittedAt };
+            });
+        }
+        const search = function(low, high) {
+            if (low >= high) {
+                return Promise.resolve(low);
+            }
+            const middle = Math.ceil((low + high) / 2);
+            return findPageTimestamp(middle, low).then(function(page) {
+                if (!page || page.submittedAt <= time) {
+                    return search(middle, high);
+                }
+                return search(low, page.pageId - 1);
+            });
+        }
+        return search(bounds.firstPage, bounds.currentPage);
+    }
+
+    const retrieveDataList = function(id, pageId) {
+        console.log('Retrieving from list:' + id + ' page: ' + pageId);
+        return getPageData(id, '_' + pageId, 'data_list')
+        .then(function(data) {
+            if (!data) {
+                console.log('No data found, silently failing');
+                countEvent('blankPageSkipped', id);
+                return undefined;
+            }
+            console.log('Data retrieved');
+
+            return decodeDataList(id, pageId, data.data_list).then(function(data_list) {
+                return indexDataList(data_list, pageId, id);
+            });
+        });
+    }
+
+    /* The value as it will be stored in the page: itself, or its envelope (see value_encoding) once compressed and/or moved to overflow items. */
+    const encodeValue = function(id, value) {
+        const settings = config.largeValues;
+        const valueSizeInBytes = sizeInBytes(value);
+        const isCompressed = settings.compression !== 'none' && valueSizeInBytes > settings.compressionThresholdInBytes;
+        const mayOverflow = settings.overflowThresholdInBytes && valueSizeInBytes > settings.overflowThresholdInBytes;
+        const keyProvider = config.encryption.keyProvider;
+        if (!isCompressed && !mayOverflow && !keyProvider) {
+            return Promise.resolve(value);
+        }
+        const encoding = isCompressed ? settings.compression : 'none';
+        return valueEncoding.encode(value, encoding).then(function(encodedValue) {
+            if (!keyProvider) {
+                return { attributes: {}, ciphertext: encodedValue };
+            }
+            return valueEncryption.encrypt(encodedValue, keyProvider, id).catch(function(err) {
+                console.log('Error happened when encrypting a value: ' + err);
+                throw new errors.EncryptionError('Could not encrypt a value of LinkedList ' + id + ': ' + err.message, id, undefined, err);
+            });
+        })
+        .then(function(encrypted) {
+            const envelope = Object.assign(valueEncoding.createEnvelope(value, encoding), encrypted.attributes);
+            const encodedValue = encrypted.ciphertext;
+            if (!settings.overflowThresholdInBytes || encodedValue.length <= settings.overflowThresholdInBytes) {
+                envelope.encoded_value = encodedValue;
+                return envelope;
+            }
+            const overflowId = crypto.randomBytes(8).toString('hex');
+            const chunks = valueEncoding.split(encodedValue, constants.overflowChunkSizeInBytes);
+            return Promise.all(chunks.map(function(chunk, index) {
+                const overflowData = getDefaultPageData(id + constants.labels.overflow + overflowId + '_' + index, config.timeToLiveInSeconds);
+                delete overflowData.data_list;
+                overflowData.chunk = chunk;
+                return storage.putItemIfAbsent(overflowData);
+            }))
+            .then(function() {
+                envelope.overflow_id = overflowId;
+                envelope.overflow_chunks = chunks.length;
+                return envelope;
+            }, function(err) {
+                throw errors.storageError('Could not store a value in overflow items of LinkedList ' + id, id, undefined, err);
+            });
+        });
+    }
+
+    /* Rehydrates the encoded values of the data_list. */
+    const decodeDataList = function(id, pageId, data_list) {
+        if (!data_list || !data_list.some(valueEncoding.isEnvelope)) {
+            return Promise.resolve(data_list);
+        }
+        return Promise.all(data_list.map(function(item) {
+            if (!valueEncoding.isEnvelope(item)) {
+                return item;
+            }
+            if (!valueEncoding.isSupported(item.encoding)) {
+                return Promise.reject(new errors.UnsupportedEncodingError(id, pageId, item.encoding));
+            }
+            return readEncodedValue(id, pageId, item).then(function(encodedValue) {
+                return valueEncryption.isEncrypted(item) ? decryptValue(id, pageId, item, encodedValue) : encodedValue;
+            })
+            .then(function(encodedValue) {
+                return valueEncoding.decode(encodedValue, item.encoding);
+            })
+            .then(function(value) {
+                valueEncoding.plainAttributes.filter(attribute => item[attribute] !== undefined).forEach(function(attribute) {
+                    value[attribute] = item[attribute];
+                });
+                return value;
+            });
+        }));
+    }
+
+    const decryptValue = function(id, pageId, envelope, ciphertext) {
+        const keyProvider = config.encryption.keyProvider;
+        if (!keyProvider) {
+            return Promise.reject(new errors.EncryptionError('Page ' + pageId + ' of LinkedList ' + id + ' holds encrypted values, configure the key provider to read them', id, pageId));
+        }
+        return valueEncryption.decrypt(ciphertext, envelope, keyProvider, id).catch(function(err) {
+            console.log('Error happened when decrypting a value: ' + err);
+            throw new errors.EncryptionError('Could not decrypt a value of page ' + pageId + ' of LinkedList ' + id + ' (key ' + envelope.key_id + '): ' + err.message, id, pageId, err);
+        });
+    }
+
+    const readEncodedValue = function(id, pageId, envelope) {
+        if (envelope.overflow_id === undefined) {
+            return Promise.resolve(envelope.encoded_value);
+        }
+        return Promise.all(getOverflowItemIds(id, envelope).map(function(chunkId) {
+            return storage.getItem(chunkId, 'chunk').catch(function(err) {
+                console.log('Error happened when reading an overflow value: ' + JSON.stringify(err));
+                throw errors.storageError('Could not read overflow item ' + chunkId + ' of page ' + pageId + ' of LinkedList ' + id, id, pageId, err);
+            });
+        }))
+        .then(function(chunks) {
+            if (chunks.some(chunk => !chunk || chunk.chunk === undefined)) {
+                throw new errors.PageNotFoundError('An overflow item of a value of page ' + pageId + ' of LinkedList ' + id + ' is missing', id, pageId);
+            }
+            return chunks.map(chunk => chunk.chunk).join('');
+        });
+    }
+
+    const getOverflowItemIds = function(id, envelope) {
+        const chunkIds = [];
+        for (var index = 0; index < envelope.overflow_chunks; index++) {
+            chunkIds.push(id + constants.labels.overflow + envelope.overflow_id + '_' + index);
+        }
+        return chunkIds;
+    }
+
+    /* Deletes the overflow items of the values of data_list, once they are out of their page (removed, replaced, trimmed or deleted). */
+    const deleteOverflowItems = function(id, pageId, data_list) {
+        const chunkIds = [].concat.apply([], (data_list || [])
+            .filter(item => valueEncoding.isEnvelope(item) && item.overflow_id !== undefined)
+            .map(envelope => getOverflowItemIds(id, envelope)));
+        return Promise.all(chunkIds.map(function(chunkId) {
+            return storage.deleteItem(chunkId).catch(function(err) {
+                throw errors.storageError('Could not delete overflow item ' + chunkId + ' of page ' + pageId + ' of LinkedList ' + id, id, pageId, err);
+            });
+        }));
+    }
+
+    /* The list the appends go to, with its current page: the list itself, or one of its stripes (see idempotentCreate).
+    The stripe is picked from stripeKey when given, at random otherwise. */
+    const getAppendTarget = function(id, stripeKey) {
+        return getPageData(id, constants.labels.summary, ['currentPage', 'stripes'])
+            .then(function(data) {
+                if (!data) {
+                    throw new errors.ListNotFoundError(id);
+                }
+                if (!data.stripes) {
+                    console.log('Retrieved currentPage:' + data.currentPage);
+                    return { listId: id, currentPage: data.currentPage };
+                }
+                const stripeId = chooseStripe(data.stripes, stripeKey);
+                const stripeListId = getStripeListId(id, stripeId);
+                return getCurrentPage(stripeListId).then(function(currentPage) {
+                    return { listId: stripeListId, stripeId: stripeId, currentPage: currentPage };
+                });
+            });
+    }
+
+    /* The value as stored by the append, rejected if it does not fit in a page. */
+    const encodeValueToAppend = function(id, target, value) {
+        return encodeValue(target.listId, value).then(function(storedValue) {
+            const valueTooLarge = checkValuesSize(id, [storedValue]);
+            if (valueTooLarge) {
+                throw valueTooLarge;
+            }
+            return storedValue;
+        });
+    }
+
+    const appendToCurrentPage = function(target, value) {
+        console.log('CurrentPage is ' + target.currentPage + ' starting inserting');
+        return atomicAppendImpl(target.listId, target.currentPage, value)
+        .then(function(pointer) {
+            countEvent('itemsAppended', target.listId, 1);
+            return stripePointer(pointer, target);
+        });
+    }
+
+    /* The idempotency record lives next to the stripe the key always goes to.
+    Its submittedAt is the lease of the caller appending the value: while it is live, the other callers wait for the pointer to be recorded.
+    The caller renews it while its append is running, however long its retries take. Once it expired (the caller died),
+    one of the others renews it (CAS) and takes over: it searches the value, and appends it only if it can't be found. */
+    const idempotentAppend = function(parentId, target, value, idempotencyKey) {
+        const id = target.listId;
+        const recordId = id + constants.labels.idempotency + idempotencyKey;
+
+        //A value that can't be encoded is never appended: the key is released for the next call (or left to expire if that fails)
+        const appendAndRecord = function(target) {
+            return encodeValueToAppend(parentId, target, value).catch(function(err) {
+                return storage.deleteItem(recordId).catch(() => undefined).then(function() {
+                    throw err;
+                });
+            })
+            .then(function(storedValue) {
+                return appendToCurrentPage(target, storedValue);
+            })
+            .then(function(pointer) {
+                return recordIdempotentPointer(recordId, pointer);
+            });
+        }
+
+        /* Runs work while holding the lease taken at submittedAt, renewing it (CAS on submittedAt) every third of the lease until work settles.
+        Renewing stops if another caller changed the lease. */
+        const holdingLease = function(submittedAt, work) {
+            var heldSince = submittedAt;
+            var renewal = undefined;
+            const timer = setInterval(function() {
+                if (renewal) {
+                    return;
+                }
+                const renewedAt = new Date().getTime();
+                renewal = storage.updateItem(recordId, { submittedAt: renewedAt }, { submittedAt: heldSince })
+                    .then(function() {
+                        heldSince = renewedAt;
+                    }, function(err) {
+                        if (err.code === 'ConditionalCheckFailedException') {
+                            clearInterval(timer);
+                            return;
+                        }
+                        console.log('Error happened when renewing the lease of idempotency key ' + idempotencyKey + ': ' + JSON.stringify(err));
+                    })
+                    .then(function() {
+                        renewal = undefined;
+                    });
+            }, constants.idempotency.leaseInMs / 3);
+            return work().then(function(result) {
+                clearInterval(timer);
+                return result;
+            }, function(err) {
+                clearInterval(timer);
+                throw err;
+            });
+        }
+
+        const takeOver = function(record) {
+            const takenAt = new Date().getTime();
+            return storage.updateItem(recordId, { submittedAt: takenAt }, { submittedAt: record.submittedAt, pointers: record.pointers })
+                .then(() => holdingLease(takenAt, function() {
+                    return findIdempotentPointer(id, idempotencyKey).then(function(pointer) {
+                        if (pointer) {
+                            return recordIdempotentPointer(recordId, stripePointer(pointer, target));
+                        }
+                        console.log('Original append never landed, appending: ' + idempotencyKey);
+                        return getCurrentPage(id).then(function(currentPage) {
+                            return appendAndRecord(Object.assign({}, target, { currentPage: currentPage }));
+                        });
+                    });
+                }), function(err) {
+                    if (err.code !== 'ConditionalCheckFailedException') {
+                        throw errors.storageError('Could not take over idempotency key ' + idempotencyKey, id, undefined, err);
+                    }
+                    console.log('Another caller took over or recorded idempotency key ' + idempotencyKey + ', waiting for its pointer');
+                    return waitForPointer();
+                });
+        }
+
+        const waitForPointer = function() {
+            return storage.getItem(recordId).then(function(record) {
+                if (!record) {
+                    //Deleted in between, claiming the key again
+                    return idempotentAppend(parentId, target, value, idempotencyKey);
+                }
+                if (record.pointers && record.pointers.length > 0) {
+                    return record.pointers[0];
+                }
+                if (record.submittedAt !== undefined && new Date().getTime() - record.submittedAt < constants.idempotency.leaseInMs) {
+                    return new Promise(resolve => setTimeout(resolve, constants.idempotency.pollIntervalInMs)).then(waitForPointer);
+                }
+                console.log('Lease of idempotency key ' + idempotencyKey + ' expired, taking over');
+                return takeOver(record);
+            });
+        }
+
+        const record = getDefaultIdempotencyRecord(recordId);
+        return storage.putItemIfAbsent(record)
+            .then(() => holdingLease(record.submittedAt, () => appendAndRecord(target)), function(err) {
+                if (err.code !== 'ConditionalCheckFailedException') {
+                    console.log('Error happened when claiming idempotency key: ' + JSON.stringify(err));
+                    throw errors.storageError('Could not claim idempotency key ' + idempotencyKey, id, undefined, err);
+                }
+                console.log('Idempotency key already used, retrieving original pointer: ' + idempotencyKey);
+                return waitForPointer();
+            });
+    }
+
+    /* Several pointers can be recorded by concurrent retries, the first one always wins. */
+    const recordIdempotentPointer = function(recordId, pointer) {
+        return storage.appendToList(recordId, 'pointers', [pointer])
+            .then(function(attributes) {
+                return attributes.pointers[0];
+            });
+    }
+
+    /* Looks for a value appended with this key in the current and previous page (where an in-flight append would have landed). */
+    const findIdempotentPointer = function(id, idempotencyKey) {
+        return getCurrentPage(id).then(function(currentPage) {
+            const pagesToSearch = [currentPage, currentPage - 1].filter(pageId => pageId >= 0);
+            return Promise.all(pagesToSearch.map(pageId => retrieveDataList(id, pageId)));
+        })
+        .then(function(dataLists) {
+            var pointer = undefined;
+            dataLists.forEach(function(dataList) {
+                (dataList || []).forEach(function(item) {
+                    if (!pointer && item.idempotency_key === idempotencyKey) {
+                        pointer = { page_id: parseInt(item.page_id), sequence_id: parseInt(item.sequence_id) };
+                    }
+                });
+            });
+            return pointer;
+        });
+    }
+
+    const atomicAppendImpl = function(id, currentPage, value, attempt = 0) {
+        if (attempt > 1) {
+            throw pageStillMissing(id, currentPage);
+        }
+
+        return appendDataToPage(id, currentPage, value)
+            .then(function(pageState) {
+                console.log('Append successful');
+
+                const result = { page_id: currentPage, sequence_id: pageState.numberOfElementInPage - 1 };
+
+                //The value is in, a failed rollover is done by the next append
+                return increaseCapacityIfNeeded(id, currentPage, pageState, sizeInBytes(value)).catch(function(err) {
+                    console.log('Error happened when rolling over LinkedList ' + id + ' after an append: ' + JSON.stringify(err));
+                })
+                .then(function() {
+                    return result;
+                });
+            })
+            .catch(err => {
+                if (err.code === 'ValidationException') {
+                    console.log('Page does not exists, creating it: ' + JSON.stringify(err));
+                    countEvent('missingPageCreated', id);
+                    return createNewPage(id, currentPage).then(function() {
+                        return atomicAppendImpl(id, currentPage, value, attempt + 1);
+                    });
+                }
+                else {
+                    console.log('Unknown Error happened: ' + JSON.stringify(err));
+                    throw errors.storageError('Could not append to page ' + currentPage + ' of LinkedList ' + id, id, currentPage, err);
+                }
+            });
+    }
+
+    /* Appends the values that fit in the current page, then recurse on the next page with the remaining ones. */
+    const atomicBulkAppendImpl = function(id, currentPage, values, pointers, attempt = 0) {
+        if (attempt > 1) {
+            throw pageStillMissing(id, currentPage);
+        }
+
+        const continueOnNextPage = function(remainingValues) {
+            return getCurrentPage(id).then(function(nextPage) {
+                return atomicBulkAppendImpl(id, nextPage, remainingValues, pointers);
+            });
+        }
+
+        return getPageData(id, '_' + currentPage)
+            .then(function(page) {
+                const numberOfElementInPage = page && page.data_list ? page.data_list.length : 0;
+                var pageSizeInBytes = page ? sizeInBytes(page) : 0;
+
+                //Take the values while they fit, both in number and in size
+                var numberOfValuesForThisPage = 0;
+                while (numberOfValuesForThisPage < values.length &&
+                       numberOfElementInPage + numberOfValuesForThisPage < config.maxElementPerPage &&
+                       (!config.maxPageSizeInBytes || pageSizeInBytes + sizeInBytes(values[numberOfValuesForThisPage]) <= config.maxPageSizeInBytes)) {
+                    pageSizeInBytes += sizeInBytes(values[numberOfValuesForThisPage]);
+                    numberOfValuesForThisPage++;
+                }
+
+                if (numberOfValuesForThisPage === 0) {
+                    console.log('Page ' + currentPage + ' is already full, moving to the next one');
+                    return rollOver(id, currentPage, numberOfElementInPage >= config.maxElementPerPage ? 'count' : 'size', numberOfElementInPage).then(function() {
+                        return continueOnNextPage(values);
+                    });
+                }
+
+                const valuesForThisPage = values.slice(0, numberOfValuesForThisPage);
+                const remainingValues = values.slice(numberOfValuesForThisPage);
+                return appendDataListToPage(id, currentPage, valuesForThisPage)
+                    .then(function(pageState) {
+                        console.log('Bulk append successful, ' + valuesForThisPage.length + ' values added in page ' + currentPage);
+
+                        const firstSequenceId = pageState.numberOfElementInPage - valuesForThisPage.length;
+                        valuesForThisPage.forEach(function(value, i) {
+                            pointers.push({ page_id: currentPage, sequence_id: firstSequenceId + i });
+                        });
+
+                        const lastValueSize = sizeInBytes(valuesForThisPage[valuesForThisPage.length - 1]);
+                        //The values are in, a failed rollover is done by the next append (the remaining values find the page full)
+                        return increaseCapacityIfNeeded(id, currentPage, pageState, lastValueSize).catch(function(err) {
+                            console.log('Error happened when rolling over LinkedList ' + id + ' after a bulk append: ' + JSON.stringify(err));
+                        })
+                        .then(function() {
+                            if (remainingValues.length === 0) {
+                                return pointers;
+                            }
+                            return continueOnNextPage(remainingValues);
+                        });
+                    }, function(err) {
+                        if (err.code === 'ValidationException') {
+                            console.log('Page does not exists, creating it: ' + JSON.stringify(err));
+                            countEvent('missingPageCreated', id);
+                            return createNewPage(id, currentPage).then(function() {
+                                return atomicBulkAppendImpl(id, currentPage, values, pointers, attempt + 1);
+                            });
+                        }
+                        else {
+                            console.log('Unknown Error happened: ' + JSON.stringify(err));
+                            throw errors.storageError('Could not append to page ' + currentPage + ' of LinkedList ' + id, id, currentPage, err);
+                        }
+                    });
+            });
+    }
+
+    /* Plans the appends of atomicAppendMany from fresh reads and writes them in one transaction, planning them again when it is cancelled.
+    Resolves the plans once written. */
+    const transactAppends = function(appends, attempt) {
+        return Promise.all(appends.map(append => planTransactedAppend(append, attempt))).then(function(plans) {
+            const operations = [].concat.apply([], plans.map(plan => plan.operations));
+            const operationListIds = [].concat.apply([], plans.map(plan => plan.operations.map(() => plan.append.id)));
+            return storage.transactWrite(operations).then(() => plans, function(err) {
+                if (err.code !== 'TransactionCanceledException') {
+                    console.log('Error happened when appending in a transaction: ' + JSON.stringify(err));
+                    throw errors.storageError('Could not append to LinkedLists ' + appends.map(append => append.id).join(', '), appends[0].id, undefined, err);
+                }
+                const reasons = err.cancellationReasons || operationListIds.map(() => 'Unknown');
+                const conflictingListIds = operationListIds.filter((id, i) => reasons[i] !== 'None')
+                    .filter((id, index, allIds) => allIds.indexOf(id) === index);
+                conflictingListIds.forEach(id => countEvent('transactionConflict', id));
+                if (attempt + 1 >= constants.transactionAttempts) {
+                    throw new errors.TransactionConflictError(conflictingListIds, attempt + 1, err);
+                }
+                console.log('Transaction cancelled (' + reasons.join(', ') + '), planning it again');
+                return transactAppends(appends, attempt + 1);
+            });
+        });
+    }
+
+    /* The writes appending the values of one list in the transaction of atomicAppendMany, from its current page (read again after the first attempt). */
+    const planTransactedAppend = function(append, attempt) {
+        const listId = append.target.listId;
+        const storedValues = append.storedValues;
+        const valuesSizeInBytes = storedValues.reduce((total, value) => total + sizeInBytes(value), 0);
+        const newPage = function(pageId) {
+            const pageData = getDefaultPageData(listId + '_' + pageId, config.timeToLiveInSeconds);
+            pageData.data_list = storedValues;
+            return { type: 'putItemIfAbsent', item: pageData };
+        }
+
+        const findCurrentPage = attempt === 0 ? Promise.resolve(append.target.currentPage) : getCurrentPage(listId);
+        return findCurrentPage.then(function(currentPage) {
+            return getPageData(listId, '_' + currentPage).then(function(page) {
+                if (!page || !Array.isArray(page.data_list)) {
+                    console.log('Page ' + currentPage + ' of LinkedList ' + listId + ' does not exist, creating it in the transaction');
+                    return { append: append, pageId: currentPage, firstSequenceId: 0, pageSizeInBytes: valuesSizeInBytes, operations: [newPage(currentPage)] };
+                }
+                const numberOfElementInPage = page.data_list.length;
+                const pageSizeInBytes = sizeInBytes(page) + valuesSizeInBytes;
+                const maxPageSizeInBytes = config.maxPageSizeInBytes || constants.maxItemSizeInBytes;
+                if (numberOfElementInPage > 0 && (numberOfElementInPage + storedValues.length > config.maxElementPerPage || pageSizeInBytes > maxPageSizeInBytes)) {
+                    console.log('Page ' + currentPage + ' of LinkedList ' + listId + ' is full, rolling over in the transaction');
+                    return {
+                        append: append,
+                        pageId: currentPage + 1,
+                        firstSequenceId: 0,
+                        pageSizeInBytes: valuesSizeInBytes,
+                        closedPageItems: numberOfElementInPage,
+                        operations: [
+                            { type: 'incrementCounter', itemId: listId + constants.labels.summary, attributeName: 'currentPage', expectedValue: currentPage },
+                            newPage(currentPage + 1)
+                        ]
+                    };
+                }
+                return {
+                    append: append,
+                    pageId: currentPage,
+                    firstSequenceId: numberOfElementInPage,
+                    pageSizeInBytes: pageSizeInBytes,
+                    operations: [{ type: 'appendToList', itemId: listId + '_' + currentPage, attributeName: 'data_list', values: storedValues, expectedLength: numberOfElementInPage }]
+                };
+            });
+        });
+    }
+
+    /* Once a page reached its maximum number of elements (or size), move the pointer of the summary and create the next page.
+    lastValueSize is the size of the value just appended, used to guess if another value would still fit. */
+    const increaseCapacityIfNeeded = function(id, currentPage, pageState, lastValueSize) {
+        const numberOfElementInPage = pageState.numberOfElementInPage;
+        const isFullInSize = config.maxPageSizeInBytes && pageState.pageSizeInBytes + lastValueSize > config.maxPageSizeInBytes;
+        if (numberOfElementInPage >= config.maxElementPerPage || isFullInSize) {
+            return rollOver(id, currentPage, numberOfElementInPage >= config.maxElementPerPage ? 'count' : 'size', numberOfElementInPage);
+        }
+        else {
+            console.log('No need to increase capacity, # of element in page:' + numberOfElementInPage + ' and max is: ' + config.maxElementPerPage);
+            return Promise.resolve();
+        }
+    }
 
-/* This is to initialize the DB name and region you will be targeting. */
-module.exports.configureDynamoDB = function(region, table) {
-    AWS.config.region = region;
-    config.region = region;
-    config.tableName = table;
-    dynamoDb = new AWS.DynamoDB.DocumentClient();
-}
+    /* reason is what filled the page: count (maxElementPerPage) or size (maxPageSizeInBytes).
+    The writer moving currentPage records the numberOfItemsInPage of the page it closes in the statistics of the list. */
+    const rollOver = function(id, currentPage, reason, numberOfItemsInPage) {
+        console.log('Increasing capacity of the linkedlist');
+        countEvent('rollover', id, 1, { reason: reason });
+        return increasePageCounter(id, currentPage).then(function(incrementedCurrentPage) {
+            if (incrementedCurrentPage && incrementedCurrentPage > currentPage) {
+                return createNewPage(id, incrementedCurrentPage).then(() => recordPageStatistics(id, numberOfItemsInPage));
+            }
+            //Race condition, ignoring.
+        });
+    }
 
-/* This function is to optimize how much a data can be added by “page”.
-If page == 1 (which is the minimum) it will create a new dynamodb item for each node in the linkedlist. 
-This will most likely not react well at scale (empty page, pointer incremented too much…).
-
-The goal is to put as much data as possible in a single page but:
-- The size should not go being the maximum dynamo item size (which is 400 KB)
-- BulkRetrieve in dynamo is limited to 16 000KB. You will most likely want to retrieve linkedlist in bulk, so keep this in mind.
-- Each page contains 1KB of metadata
-- Concurrent threads can be trying to add in the same page despite the limit being reached! It should be small window of few seconds when this happen, but my advice would be to over provisioning by assuming the maximum size of the dynamo DB item is 200kb (and then tune things up or down depending on the scale)
-- Overall, the number you put here, is the maximum of TPS for this instance of the linkedlist (req in the average same seconds) you can have before any of your customers get TooBigItemException
-
-So for example, if the maximum size of value is 1 000 characters, in UTF-8, it mean each element maximum 1,074 bytes (1kb).
-The maximum size of a page should be: 1KB + 1kb * N <= 400KB, N should be less than 390ish.
-Then we apply the over-provisioning factor of /2, so we limit ourself to 200 elements.
-Note: it would limit to retrieve 80 linked-list page in a BulkRetrieve operation */
-module.exports.configureMaximumNumberOfElementPerPage = function(numberOfMaximumElement) {
-    if (numberOfMaximumElement) {
-        config.maxElementPerPage = numberOfMaximumElement;
+    /* Returns a ValueTooLargeError for the first value that could not fit in an empty page, if any. */
+    const checkValuesSize = function(id, values) {
+        const maxValueSizeInBytes = (config.maxPageSizeInBytes || constants.maxItemSizeInBytes) - constants.pageMetadataSizeInBytes;
+        var valueTooLarge = undefined;
+        values.forEach(function(value) {
+            const valueSizeInBytes = sizeInBytes(value);
+            if (!valueTooLarge && valueSizeInBytes > maxValueSizeInBytes) {
+                console.log('Value of ' + valueSizeInBytes + ' bytes rejected, max is: ' + maxValueSizeInBytes);
+                valueTooLarge = new errors.ValueTooLargeError(id, valueSizeInBytes, maxValueSizeInBytes);
+            }
+        });
+        return valueTooLarge;
+    }
+
+    const increasePageCounter = function(id, currentCounterValue) {
+        return storage.incrementCounter(id + constants.labels.summary, 'currentPage', currentCounterValue)
+            .then(function(attributes) {
+            console.log('Summary has been incremented, new currentPage: ' + attributes.currentPage);
+            return attributes.currentPage;
+        }).catch(function(err) {
+            if (err && err.code === 'ConditionalCheckFailedException') {
+                console.log('CurrentPage already been incremented due to race condition, ignoring');
+                countEvent('pageCounterRace', id);
+                return undefined;
+            }
+            else {
+                console.log('Error happened when trying to increment CurrentPage: ' + JSON.stringify(err));
+                throw errors.storageError('Could not increment the current page of LinkedList ' + id, id, 'summary', err);
+            }
+        });
+    }
+
+    const createNewPage = function(id, pageId) {
+        console.log('Creating a page for:' + id + ' id: ' + pageId);
+        const itemId = id + '_' + pageId;
+        const pageData = getDefaultPageData(itemId, config.timeToLiveInSeconds);
+        return storage.putItemIfAbsent(pageData) //CAS
+            .then(res => {
+                console.log('Page created: ' + pageId);
+            })
+            .catch(err => {
+                if (err.code === 'ConditionalCheckFailedException') {
+                    console.log('Error page already exists; most likely a race condition, ignoring');
+                    countEvent('pageCreationRace', id);
+                }
+                else {
+                    console.log('Error happened in creating new page: ' + JSON.stringify(err));
+                    if (errors.isThrottling(err)) {
+                        throw errors.storageError('Could not create page ' + pageId + ' of LinkedList ' + id, id, pageId, err);
+                    }
+                    throw new errors.CreateNewPageError('Could not create page ' + pageId + ' of LinkedList ' + id + ': ' + err.message, id, pageId, err);
+                }
+            });
+    }
+
+    const inspectList = function(id, bounds) {
+        const report = {
+            id: id,
+            firstPage: bounds.firstPage,
+            currentPage: bounds.currentPage,
+            checkedPages: 0,
+            blankPages: [],
+            problems: []
+        };
+        const addProblem = function(type, pageId, message, repairable, sequenceId) {
+            const problem = { type: type, page_id: pageId, message: message, repairable: repairable };
+            if (sequenceId !== undefined) {
+                problem.sequence_id = sequenceId;
+            }
+            console.log('LinkedList ' + id + ': ' + message);
+            report.problems.push(problem);
+        }
+
+        return Promise.all([loadPages(id, bounds), findLastPageAfter(id, bounds.currentPage), loadMergedPages(id, bounds.pageMap)])
+        .then(function(results) {
+            const pages = results[0];
+            const lastPage = results[1];
+            const mergedPages = results[2];
+
+            Object.keys(pages).map(pageId => parseInt(pageId)).forEach(function(pageId) {
+                const page = pages[pageId];
+                report.checkedPages++;
+                if (!page) {
+                    if (pageId === bounds.currentPage && pageId === bounds.firstPage) {
+                        //Nothing appended since the list was created (or emptied by trimToLast/expireOlderThan), the first append creates the page
+                        return;
+                    }
+                    if (pageId === bounds.currentPage && lastPage === bounds.currentPage) {
+                        addProblem('currentPageMissing', pageId, 'Current page ' + pageId + ' does not exist', true);
+                    }
+                    else {
+                        report.blankPages.push(pageId);
+                    }
+                    return;
+                }
+                if (!Array.isArray(page.data_list)) {
+                    addProblem('dataListMissing', pageId, 'Page ' + pageId + ' has no data_list', true);
+                    return;
+                }
+                if (page.data_list.length === 0 && pageId !== bounds.currentPage) {
+                    report.blankPages.push(pageId);
+                }
+                if (page.data_list.length > config.maxElementPerPage) {
+                    addProblem('pageOverCapacity', pageId, 'Page ' + pageId + ' holds ' + page.data_list.length + ' items, max is: ' + config.maxElementPerPage, false);
+                }
+                page.data_list.forEach(function(item, sequenceId) {
+                    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                        addProblem('invalidItem', pageId, 'Item ' + sequenceId + ' of page ' + pageId + ' is not an object', false, sequenceId);
+                    }
+                });
+            });
+
+            if (lastPage > bounds.currentPage) {
+                addProblem('pageAfterCurrentPage', lastPage, 'Page ' + lastPage + ' exists after the current page ' + bounds.currentPage, true);
+            }
+
+            Object.keys(mergedPages).map(pageId => parseInt(pageId)).forEach(function(pageId) {
+                const mapping = bounds.pageMap[pageId];
+                const target = pages[mapping.page];
+                const targetLength = target && Array.isArray(target.data_list) ? target.data_list.length : 0;
+                const isMerged = targetLength >= mapping.offset + mapping.count;
+                if (mergedPages[pageId]) {
+                    //The merge can only be resumed if none or all of the items have been copied
+                    addProblem('interruptedMerge', pageId, 'Page ' + pageId + ' has not been fully merged into page ' + mapping.page, isMerged || targetLength === mapping.offset);
+                }
+                else if (!isMerged) {
+                    addProblem('brokenPageMap', pageId, 'Page ' + mapping.page + ' does not hold the items merged from page ' + pageId, false);
+                }
+            });
+
+            report.healthy = report.problems.length === 0;
+            return report;
+        });
+    }
+
+    /* The pages written after currentPage: a rollover that created its page but lost its summary update. */
+    const findLastPageAfter = function(id, pageId) {
+        return getPageData(id, '_' + (pageId + 1), 'id').then(function(page) {
+            return page ? findLastPageAfter(id, pageId + 1) : pageId;
+        });
+    }
+
+    /* The source pages of the merges of the pageMap still in the table (undefined once deleted), keyed by page id. */
+    const loadMergedPages = function(id, pageMap) {
+        const mergedPageIds = Object.keys(pageMap).filter(pageId => pageMap[pageId].count > 0);
+        return Promise.all(mergedPageIds.map(pageId => getPageData(id, '_' + pageId, 'id')))
+            .then(function(mergedPages) {
+                const pages = {};
+                mergedPageIds.forEach(function(pageId, index) {
+                    pages[pageId] = mergedPages[index];
+                });
+                return pages;
+            });
     }
-}
 
-/* This will create the first summary page. This operation is idempotent. */
-module.exports.idempotentCreate = function(id, metadata) {
-    console.log('Creating LinkedList: ' + id);
-    const summaryObject = defaultPageSummary(id, metadata);
-    console.log('Creating LinkedList Page: ' + summaryObject.id);
-    const itemInfo = {
-        TableName: config.tableName,
-        Item: summaryObject,
-        ConditionExpression: '#i <> :val', //CAS on the id for idempotency
-        ExpressionAttributeNames: {'#i' : 'id'},
-        ExpressionAttributeValues: {':val' : summaryObject.id},
-        ReturnValues: 'ALL_OLD'
+    const repairs = {
+        currentPageMissing: function(id, bounds, problem) {
+            return createNewPage(id, problem.page_id);
+        },
+        pageAfterCurrentPage: function(id, bounds, problem) {
+            console.log('Moving the current page of LinkedList ' + id + ' to: ' + problem.page_id);
+            return storage.updateItem(id + constants.labels.summary, { currentPage: problem.page_id }, { currentPage: bounds.currentPage })
+                .catch(function(err) {
+                    throw errors.storageError('Could not move the current page of LinkedList ' + id, id, 'summary', err);
+                });
+        },
+        dataListMissing: function(id, bounds, problem) {
+            console.log('Initializing the data_list of page ' + problem.page_id + ' of LinkedList ' + id);
+            return storage.updateItem(id + '_' + problem.page_id, { data_list: [] }, { data_list: undefined })
+                .catch(function(err) {
+                    throw errors.storageError('Could not initialize page ' + problem.page_id + ' of LinkedList ' + id, id, problem.page_id, err);
+                });
+        },
+        interruptedMerge: function(id, bounds, problem) {
+            return getPageData(id, '_' + problem.page_id, 'data_list').then(function(page) {
+                return mergePage(id, problem.page_id, page.data_list || [], bounds.pageMap[problem.page_id]);
+            });
+        }
     };
-    return dynamoDb.put(itemInfo).promise().then(res => summaryObject);
+
+    /* The appended_at of the values appended by this store never goes backward, even if the clock does. */
+    const nextAppendTimestamp = function() {
+        lastAppendTimestamp = Math.max(new Date().getTime(), lastAppendTimestamp);
+        return lastAppendTimestamp;
+    }
+
+    /* Resolves true if the page has been rewritten, false if it was already up to date and undefined if it does not exist. */
+    const migrateItem = function(id, pageId, attempt = 0) {
+        const kind = pageId === constants.labels.summary ? 'summary' : 'page';
+        const publicPageId = pageId.replace('_', '');
+        return storage.getItem(id + pageId)
+            .catch(function(err) {
+                throw errors.storageError('Could not read page ' + publicPageId + ' of LinkedList ' + id, id, publicPageId, err);
+            })
+            .then(function(page) {
+                if (!page) {
+                    return undefined;
+                }
+                const upgradedPage = pageVersions.upgrade(kind, page, id, publicPageId);
+                if (upgradedPage === page) {
+                    return false;
+                }
+                const attributesToSet = {};
+                const expectedAttributes = { v: page.v };
+                Object.keys(upgradedPage).forEach(function(attributeName) {
+                    if (attributeName !== 'id' && JSON.stringify(upgradedPage[attributeName]) !== JSON.stringify(page[attributeName])) {
+                        attributesToSet[attributeName] = upgradedPage[attributeName];
+                        expectedAttributes[attributeName] = page[attributeName];
+                    }
+                });
+                console.log('Migrating page ' + publicPageId + ' of LinkedList ' + id + ' to version ' + upgradedPage.v);
+                return storage.updateItem(id + pageId, attributesToSet, expectedAttributes)
+                    .then(() => true, function(err) {
+                        if (err.code === 'ConditionalCheckFailedException' && attempt + 1 < constants.migrationAttempts) {
+                            console.log('Page ' + publicPageId + ' changed during its migration, migrating it again');
+                            return migrateItem(id, pageId, attempt + 1);
+                        }
+                        throw errors.storageError('Could not migrate page ' + publicPageId + ' of LinkedList ' + id, id, publicPageId, err);
+                    });
+            });
+    }
+
+    /* Only written on rollover, an append never writes the summary: itemCount counts the items of the closed pages, lastAppendAt is when the last one closed.
+    The items of the current page are added when reading them (see readListStatistics). Best effort: a failure is only logged, the values have been appended anyway. */
+    const recordPageStatistics = function(id, numberOfItems) {
+        return storage.addToAttributes(id + constants.labels.summary, { itemCount: numberOfItems }, { lastAppendAt: new Date().getTime() })
+            .catch(function(err) {
+                console.log('Error happened when recording the statistics of LinkedList ' + id + ': ' + JSON.stringify(err));
+            });
+    }
+
+    /* Reads every page of the list that is not already in the pageMap, keyed by page id (undefined for missing pages). */
+    const loadPages = function(id, bounds) {
+        const pages = {};
+        const loadPage = function(pageId) {
+            if (pageId > bounds.currentPage) {
+                return Promise.resolve(pages);
+            }
+            if (bounds.pageMap[pageId]) {
+                return loadPage(pageId + 1);
+            }
+            return getPageData(id, '_' + pageId).then(function(page) {
+                pages[pageId] = page;
+                return loadPage(pageId + 1);
+            });
+        }
+        return loadPage(bounds.firstPage);
+    }
+
+    /* Adds an entry to the pageMap of the summary (CAS on the whole map). */
+    const recordInPageMap = function(id, pageId, mapping) {
+        return getListBounds(id).then(function(bounds) {
+            const pageMap = Object.assign({}, bounds.pageMap);
+            pageMap[pageId] = mapping;
+            console.log('Recording page ' + pageId + ' of LinkedList ' + id + ' in the page map: ' + JSON.stringify(mapping));
+            return storage.updateItem(id + constants.labels.summary, { pageMap: pageMap }, { pageMap: bounds.storedPageMap })
+                .catch(function(err) {
+                    console.log('Error happened when updating the page map: ' + JSON.stringify(err));
+                    throw errors.storageError('Could not update the page map of LinkedList ' + id, id, 'summary', err);
+                });
+        });
+    }
+
+    /* The page is already in the pageMap: copy its items at the recorded offset of the target page, then delete it.
+    Nothing is copied if the target page already holds them (a previous compaction stopped before deleting the page). */
+    const mergePage = function(id, pageId, dataList, mapping) {
+        return getPageData(id, '_' + mapping.page, 'data_list').then(function(targetPage) {
+            const targetLength = targetPage && targetPage.data_list ? targetPage.data_list.length : 0;
+            if (targetLength === mapping.offset) {
+                console.log('Merging page ' + pageId + ' into page ' + mapping.page + ' of LinkedList ' + id);
+                return appendDataListToPage(id, mapping.page, dataList);
+            }
+            if (targetLength < mapping.offset + mapping.count) {
+                console.log('Page ' + mapping.page + ' does not match the page map, leaving page ' + pageId + ' untouched');
+                throw new errors.LinkedListError('Page ' + mapping.page + ' of LinkedList ' + id + ' does not match the page map', id, mapping.page);
+            }
+        })
+        .then(function() {
+            return deleteItem(id, pageId);
+        });
+    }
+
+    /* Finishes the merges recorded in the pageMap whose source page still exists. */
+    const finishInterruptedMerges = function(id) {
+        return getListBounds(id).then(function(bounds) {
+            const merges = Object.keys(bounds.pageMap).filter(pageId => bounds.pageMap[pageId].count > 0);
+            const finishMerge = function(index) {
+                if (index >= merges.length) {
+                    return Promise.resolve();
+                }
+                const pageId = merges[index];
+                return getPageData(id, '_' + pageId, 'data_list').then(function(page) {
+                    if (!page || !page.data_list) {
+                        return finishMerge(index + 1);
+                    }
+                    console.log('Finishing the interrupted merge of page ' + pageId + ' of LinkedList ' + id);
+                    return mergePage(id, pageId, page.data_list, bounds.pageMap[pageId])
+                        .then(() => finishMerge(index + 1));
+                });
+            }
+            return finishMerge(0);
+        });
+    }
+
+    /* The replacement is conditioned on the overflow_id of the item read, so the overflow items deleted once it is replaced are the ones of the value it held.
+    It is tried again (twice at most) when another writer replaced the item in between. */
+    const setItemAtPointer = function(id, pointer, value, expectedItemAttributes, attempt = 0) {
+        var pageId = parseInt(pointer.page_id);
+        var sequenceId = parseInt(pointer.sequence_id);
+        var replacedItem = undefined;
+        return getListBounds(id).then(function(bounds) {
+            const resolvedPointer = resolvePointer(bounds.pageMap, pointer);
+            pageId = resolvedPointer.page_id;
+            sequenceId = resolvedPointer.sequence_id;
+            return getPageData(id, '_' + pageId, 'data_list');
+        })
+        .then(function(page) {
+            replacedItem = page && Array.isArray(page.data_list) ? page.data_list[sequenceId] : undefined;
+            const overflowId = replacedItem ? replacedItem.overflow_id : undefined;
+            console.log('Replacing item ' + sequenceId + ' of page ' + pageId + ' of LinkedList: ' + id);
+            return storage.setListElement(id + '_' + pageId, 'data_list', sequenceId, value, Object.assign({ overflow_id: overflowId }, expectedItemAttributes));
+        })
+            .then(function() {
+                return deleteOverflowItems(id, pageId, [replacedItem]).then(function() {
+                    return { page_id: pageId, sequence_id: sequenceId };
+                });
+            }, function(err) {
+                if (err instanceof errors.LinkedListError) {
+                    throw err;
+                }
+                if (err.code === 'ConditionalCheckFailedException' && replacedItem && attempt < 2) {
+                    return getPageData(id, '_' + pageId, 'data_list').then(function(page) {
+                        const item = page && Array.isArray(page.data_list) ? page.data_list[sequenceId] : undefined;
+                        if (item && item.overflow_id !== replacedItem.overflow_id) {
+                            console.log('Item replaced by someone else, starting again');
+                            return setItemAtPointer(id, pointer, value, expectedItemAttributes, attempt + 1);
+                        }
+                        throw new errors.ItemNotFoundError(id, { page_id: pageId, sequence_id: sequenceId }, err);
+                    });
+                }
+                if (err.code === 'ConditionalCheckFailedException') {
+                    throw new errors.ItemNotFoundError(id, { page_id: pageId, sequence_id: sequenceId }, err);
+                }
+                console.log('Error happened when replacing item: ' + JSON.stringify(err));
+                throw errors.storageError('Could not replace item ' + sequenceId + ' of page ' + pageId + ' of LinkedList ' + id, id, pageId, err);
+            });
+    }
+
+    /* Moves the head of the list to the page computed by findNewFirstPage(bounds), then deletes the pages before it.
+    If another thread moved the head in between, the CAS fails and it starts again from the new bounds. */
+    const moveFirstPage = function(id, functionName, findNewFirstPage, attempt = 0) {
+        return getSingleListBounds(id, functionName).then(function(bounds) {
+            return findNewFirstPage(bounds).then(function(foundFirstPage) {
+                //The items of a merged page live in an older page, keep that one
+                const newFirstPage = resolvePointer(bounds.pageMap, { page_id: foundFirstPage, sequence_id: 0 }).page_id;
+                if (newFirstPage <= bounds.firstPage) {
+                    console.log('Nothing to delete, first page is still: ' + bounds.firstPage);
+                    return { firstPage: bounds.firstPage, deletedPages: 0 };
+                }
+                console.log('Moving first page of LinkedList ' + id + ' from ' + bounds.firstPage + ' to ' + newFirstPage);
+                return storage.updateItem(id + constants.labels.summary, { firstPage: newFirstPage }, { firstPage: bounds.storedFirstPage })
+                    .then(function() {
+                        return deletePages(id, bounds.firstPage, newFirstPage);
+                    }, function(err) {
+                        if (err.code === 'ConditionalCheckFailedException' && attempt < 2) {
+                            console.log('First page moved by someone else, starting again');
+                            return moveFirstPage(id, functionName, findNewFirstPage, attempt + 1);
+                        }
+                        throw errors.storageError('Could not move the first page of LinkedList ' + id, id, 'summary', err);
+                    })
+                    .then(function(result) {
+                        return result || { firstPage: newFirstPage, deletedPages: newFirstPage - bounds.firstPage };
+                    });
+            });
+        });
+    }
+
+    const deletePages = function(id, fromPage, toPageExcluded) {
+        if (fromPage >= toPageExcluded) {
+            return Promise.resolve();
+        }
+        return deletePage(id, fromPage).then(function() {
+            return deletePages(id, fromPage + 1, toPageExcluded);
+        });
+    }
+
+    /* Resolves the number of pages deleted, the pages already gone are not counted. */
+    const deletePagesNewestFirst = function(id, firstPage, pageId) {
+        if (pageId < firstPage) {
+            return Promise.resolve(0);
+        }
+        return deletePage(id, pageId).then(function(deleted) {
+            return deletePagesNewestFirst(id, firstPage, pageId - 1).then(deletedPages => deletedPages + (deleted ? 1 : 0));
+        });
+    }
+
+    /* Deletes a page out of the readable range, with the overflow items of its values.
+    Resolves false if the page was already deleted (it is skipped), true otherwise. */
+    const deletePage = function(id, pageId) {
+        return getPageData(id, '_' + pageId, 'data_list').then(function(page) {
+            if (!page) {
+                return false;
+            }
+            return deleteOverflowItems(id, pageId, page.data_list)
+                .then(() => deleteItem(id, pageId))
+                .then(() => true);
+        });
+    }
+
+    const deleteItem = function(id, pageId) {
+        console.log('Deleting page ' + pageId + ' of LinkedList ' + id);
+        return storage.deleteItem(id + '_' + pageId)
+            .catch(function(err) {
+                console.log('Error happened when deleting page: ' + JSON.stringify(err));
+                throw errors.storageError('Could not delete page ' + pageId + ' of LinkedList ' + id, id, pageId, err);
+            });
+    }
+
+    /* The bounds of a list that is not striped: the functions working on a single set of pages are called on each stripe of a striped list. */
+    const getSingleListBounds = function(id, functionName) {
+        return getListBounds(id).then(function(bounds) {
+            if (bounds.stripes) {
+                throw stripedListError(id, functionName);
+            }
+            return bounds;
+        });
+    }
+
+    /* The readable range of the list: from firstPage (moved forward by trimToLast/expireOlderThan) to currentPage,
+    and the pages to skip (pageMap, written by compact). stripes is the number of stripes of a striped list. */
+    const getListBounds = function(id) {
+        return getPageData(id, constants.labels.summary, ['currentPage', 'firstPage', 'pageMap', 'stripes'])
+            .then(function(data) {
+                if (!data) {
+                    throw new errors.ListNotFoundError(id);
+                }
+                return {
+                    firstPage: data.firstPage || 0,
+                    storedFirstPage: data.firstPage,
+                    currentPage: data.currentPage,
+                    pageMap: data.pageMap || {},
+                    storedPageMap: data.pageMap,
+                    stripes: data.stripes
+                };
+            });
+    }
+
+    const getCurrentPage = function(id) {
+        return getPageData(id, constants.labels.summary, 'currentPage')
+            .then(function(data) {
+                if (!data) {
+                    throw new errors.ListNotFoundError(id);
+                }
+                console.log('Retrieved currentPage:' + data.currentPage);
+                return data.currentPage;
+            });
+    }
+
+    const appendDataToPage = function(id, pageId, data) {
+        return appendDataListToPage(id, pageId, [data]);
+    }
+
+    /* Appends all the values in a single list_append, returns the new number of elements in the page and its size. */
+    const appendDataListToPage = function(id, pageId, dataList) {
+        console.log('Appending ' + dataList.length + ' message(s) to LinkedList: ' + id + ' page: ' + pageId);
+
+        const itemId = id + '_' + pageId;
+        return storage.appendToList(itemId, 'data_list', dataList)
+            .then(attributes => {
+                return {
+                    numberOfElementInPage: attributes.data_list.length,
+                    pageSizeInBytes: sizeInBytes(attributes)
+                };
+            });
+    }
+
+    /* Reads the page and upgrades it to the latest layout (see page_versions), only the specificFieldToFilterOn are returned if given. */
+    const getPageData = function(id, pageId, specificFieldToFilterOn) {
+        const kind = pageId === constants.labels.summary ? 'summary' : 'page';
+        const publicPageId = (pageId + '').replace('_', '');
+        const fields = specificFieldToFilterOn ? [].concat(specificFieldToFilterOn) : undefined;
+        const fieldsToRead = fields ? fields.concat(['v'], pageVersions.attributesNeededToUpgrade[kind])
+            .filter((field, index, allFields) => allFields.indexOf(field) === index) : undefined;
+        return storage.getItem(id + pageId, fieldsToRead)
+            .catch(function(err) {
+                console.log('Error happened when reading page ' + pageId + ': ' + JSON.stringify(err));
+                throw errors.storageError('Could not read page ' + publicPageId + ' of LinkedList ' + id, id, publicPageId, err);
+            })
+            .then(function(page) {
+                if (!page) {
+                    return page;
+                }
+                const upgradedPage = pageVersions.upgrade(kind, page, id, publicPageId);
+                if (!fields) {
+                    return upgradedPage;
+                }
+                const projection = {};
+                fields.filter(field => upgradedPage[field] !== undefined).forEach(field => projection[field] = upgradedPage[field]);
+                return projection;
+            });
+    }
+
+    if (options.storage) {
+        store.configureStorage(options.storage);
+    }
+    else if (options.tableName) {
+        store.configureDynamoDB(options.region, options.tableName, options.client);
+    }
+    store.configureMaximumNumberOfElementPerPage(options.maxElementPerPage);
+    store.configureMaximumPageSize(options.maxPageSizeInBytes);
+    store.configureTimeToLive(options.timeToLiveInSeconds);
+    if (options.retryPolicy) {
+        store.configureRetryPolicy(options.retryPolicy);
+    }
+    if (options.largeValues) {
+        store.configureLargeValues(options.largeValues);
+    }
+    if (options.encryption) {
+        store.configureEncryption(options.encryption);
+    }
+    if (options.metrics) {
+        store.configureMetrics(options.metrics);
+    }
+
+    return store;
 }
 
-/*
-If the page does not exists it first atomically increment the pointer to point to the “current” page.
-This pointer might be incremented as the same time as another thread which is why you can have “blank” page that you should ignore.
-It then creates the new page by using the CAS mechanism. If the page get has been created in between, it just fails silently.
-Then it finally append the value (or directly append if the page was already created) by inserting the data into the page atomically.
-This operation is not idempotent and could insert duplicates due to retries.
-Note: value needs to be an object, as we append extra propery to it
-*/
-module.exports.atomicAppend = function(id, value) {
-    return getCurrentPage(id).then(function(currentPage) {
-        console.log('CurrentPage is ' + currentPage + ' starting inserting');
-        return atomicAppendImpl(id, currentPage, value);
+/* Returns the promise, or hands its result to the legacy callback: the items, or the error (an Error instance) when the retrieval failed. */
+const promiseOrCallback = function(promise, callback) {
+    if (!callback) {
+        return promise;
+    }
+    promise.then(callback, function(err) {
+        console.log('Error happened when retrieving: ' + err);
+        callback(err);
     });
 }
 
-/* Not implemented yet */
-module.exports.atomicBulkAppendBulk = function() {
-    throw new Error();
+/* The retrieval functions take either the legacy callback or an options object. */
+const getCallback = function(callbackOrOptions) {
+    return typeof callbackOrOptions === 'function' ? callbackOrOptions : undefined;
 }
 
-/* This retrieve what is the current page (which is also the ‘last’ page) on which you should write (or stop reading). */
-module.exports.getCurrentPage = function(id) {
-    return getCurrentPage(id);
+const getOptions = function(callbackOrOptions) {
+    return typeof callbackOrOptions === 'function' ? {} : (callbackOrOptions || {});
 }
 
-/* Get the page, can be use to check if a page exists */
-module.exports.getPage = function(id, pageId) {
-    return getPageData(id, pageId);
+/* The items to hand back to the caller, once the page has been indexed (so the sequence ids stay the ones of the page). */
+const visibleItems = function(data_list, options) {
+    if (options && options.includeRemoved) {
+        return data_list;
+    }
+    return data_list.filter(item => !item.tombstone);
 }
 
-/* This retrieve the entire content of a page and return all the elements contained into it. */
-module.exports.retrieve = function(id, pageId) {
-    const addPageIdInResult = function(data) {
-        return {
-            page_id: pageId+''.replace('_',''),
-            data: data
+const getTombstone = function() {
+    return {
+        tombstone: true,
+        deleted_at: new Date().getTime()
+    };
+}
+
+/* Follows the pageMap written by compact: a pointer to a merged page is forwarded to the page holding its item now. */
+const resolvePointer = function(pageMap, pointer) {
+    var pageId = parseInt(pointer.page_id);
+    var sequenceId = parseInt(pointer.sequence_id);
+    while (pageMap[pageId] && pageMap[pageId].page !== undefined) {
+        sequenceId += pageMap[pageId].offset;
+        pageId = pageMap[pageId].page;
+    }
+    return { page_id: pageId, sequence_id: sequenceId };
+}
+
+/* Pages of the pageMap at or after startPage may have been merged by compact into an earlier page, which then has to be read too. */
+const includeMergedPages = function(bounds, startPage) {
+    Object.keys(bounds.pageMap).forEach(function(pageId) {
+        const mapping = bounds.pageMap[pageId];
+        if (parseInt(pageId) >= startPage && mapping.page !== undefined) {
+            startPage = Math.min(startPage, mapping.page);
         }
+    });
+    return startPage;
+}
+
+/* Append order of two retrieved items: appended_at, then position in the list (the stripe first for striped lists). */
+const compareAppendOrder = function(a, b) {
+    if (a.appended_at !== undefined && b.appended_at !== undefined && a.appended_at !== b.appended_at) {
+        return a.appended_at - b.appended_at;
     }
+    return ((a.stripe_id || 0) - (b.stripe_id || 0)) ||
+           (parseInt(a.page_id) - parseInt(b.page_id)) || (parseInt(a.sequence_id) - parseInt(b.sequence_id));
+}
+
+/* The stripes of a striped list are lists of their own, see idempotentCreate. */
+const getStripeListId = function(id, stripeId) {
+    return id + constants.labels.stripe + stripeId;
+}
 
-    if ('_' + pageId === constants.labels.summary) {
-        return getPageData(id, constants.labels.summary).then(addPageIdInResult);
+const stripeIds = function(numberOfStripes) {
+    const ids = [];
+    for (var stripeId = 0; stripeId < numberOfStripes; stripeId++) {
+        ids.push(stripeId);
     }
-    else {
-        return retrieveDataList(id, pageId).then(addPageIdInResult);
+    return ids;
+}
+
+/* The stripe of an append: always the same one for a given key, so its retries find it. */
+const chooseStripe = function(numberOfStripes, stripeKey) {
+    if (stripeKey === undefined) {
+        return Math.floor(Math.random() * numberOfStripes);
     }
+    return parseInt(crypto.createHash('md5').update(stripeKey + '').digest('hex').substring(0, 8), 16) % numberOfStripes;
 }
 
-/* It will retrieve the top N most recent item that has been appended to the linkedlist.
-Be careful to bufferoverflow here. Avoid asking for a crazy amount */
-module.exports.retrieveLastMostRecent = function(id, numberOfItems, callback) {
-    getCurrentPage(id)
-    .then(function(currentPage) {
-        retrieveNElement(id, currentPage, null, numberOfItems, callback);
-    });
+const getPointerStripeId = function(pointer) {
+    return pointer.stripe_id !== undefined ? parseInt(pointer.stripe_id) : undefined;
 }
 
-/*
-put null into fromSequence to retrieve from the maximum item in the list
-*/
-const retrieveNElement = function(id, fromPage, fromSequence, numberOfItems, callback) {
-    var retrievedData = [];
-    const recursivelyRetrieveData = function(currentPage, completedCallback) {
-        if (currentPage < 0) {
-            completedCallback();
-            return;
-        }
-        console.log('Requesting page: ' + currentPage + ' # of items found for now:' + retrievedData.length);
-        retrieveDataList(id, currentPage)
-        .then(function(data_list) {
-            if (data_list && data_list.length > 0) {
-                console.log('DB returning ' + data_list.length);
-                if (fromSequence) {
-                    console.log('Cutting data above the sequence id: ' + fromSequence);
-                    data_list.splice(fromSequence, data_list.length - fromSequence);
-                    console.log('Data after cut: ' + data_list.length);
-                }
-                retrievedData = retrievedData.concat(data_list.reverse());
-            }
-            if (retrievedData.length < numberOfItems) {
-                fromSequence = undefined;
-                recursivelyRetrieveData(currentPage - 1, completedCallback);
-                return;
-            }
-            else {
-                completedCallback();
-                return;
-            }
-        });
+/* The list holding the item at the pointer: its stripe for the pointers of a striped list. */
+const getPointerListId = function(id, pointer) {
+    return pointer.stripe_id !== undefined ? getStripeListId(id, getPointerStripeId(pointer)) : id;
+}
+
+/* The pointer of an append, with the stripe it went to. */
+const stripePointer = function(pointer, target) {
+    if (target.stripeId === undefined || pointer.stripe_id !== undefined) {
+        return pointer;
     }
-    recursivelyRetrieveData(fromPage, function() {
-        if (retrievedData.length > numberOfItems) {
-            retrievedData = retrievedData.slice(0, numberOfItems);
-        }
-        callback(retrievedData);
-    });
+    return { stripe_id: target.stripeId, page_id: pointer.page_id, sequence_id: pointer.sequence_id };
 }
 
-/* It will retrieve the next N most recent item that has been appended to the linkedlist. 
-To use this, you need to specify where the algorithm should start reading.
-Each object retrieved from the Linkedlist contains a PageId, and a SequenceId, this is what
-you need to use to generate the pointer to dictate where to start reading.
-*/
-module.exports.retrieveNextMostRecent = function(id, startAfterPointer, numberOfItems, callback) {
-    if (!startAfterPointer ||
-        !startAfterPointer.page_id ||
-        !startAfterPointer.sequence_id) {
-        throw 'No valid pointer has been set';
+const isValidPointer = function(pointer) {
+    return !!pointer &&
+           !isNaN(parseInt(pointer.page_id)) &&
+           !isNaN(parseInt(pointer.sequence_id));
+}
+
+const stripedListError = function(id, functionName) {
+    return new Error('LinkedList ' + id + ' is striped, call ' + functionName + ' on each of its stripes (getStripeListId)');
+}
+
+const invalidPointer = function(callback) {
+    const err = new Error('No valid pointer has been set');
+    if (callback) {
+        throw err;
     }
+    return Promise.reject(err);
+}
 
-    const pointer = getValidPointer(startAfterPointer);
-    retrieveNElement(id, pointer.page_id, pointer.sequence_id, numberOfItems, callback);
+const collectItems = function(iterator, numberOfItems, collectedItems = []) {
+    if (collectedItems.length >= numberOfItems) {
+        return Promise.resolve(collectedItems);
+    }
+    return iterator.next().then(function(result) {
+        if (result.done) {
+            return collectedItems;
+        }
+        collectedItems.push(result.value);
+        return collectItems(iterator, numberOfItems, collectedItems);
+    });
 }
 
 const getValidPointer = function(startAfterPointer) {
@@ -217,14 +2543,6 @@ const getValidPointer = function(startAfterPointer) {
     };
 }
 
-module.exports.getConstants = function() {
-    return constants;
-}
-
-module.exports.getCurrentConfiguration = function() {
-    return config;
-}
-
 /* This will allow customer to have a pointer inside the linkedlist
 This is useful when they want to get the NEXT elements after calling GetLastElements */
 const indexDataList = function(data_list, currentPage, resource_id_parent) {
@@ -242,191 +2560,114 @@ const indexDataList = function(data_list, currentPage, resource_id_parent) {
     return data_list;
 }
 
-const retrieveDataList = function(id, pageId) {
-    console.log('Retrieving from list:' + id + ' page: ' + pageId);
-    return getPageData(id, '_' + pageId, 'data_list')
-    .then(function(data) {
-        console.log('Data retrieved');
-
-        return indexDataList(data.data_list, pageId, id);
-    })
-    .catch(function(err) {
-        console.log('No data found, silently failing:' + err);
-        return undefined;
-    });
-}
-
-const atomicAppendImpl = function(id, currentPage, value, attempt = 0) {
-    if (attempt > 1) {
-        throw new Error();
-    }
-
-    return appendDataToPage(id, currentPage, value)
-        .then(function(numberOfElementInPage) {
-            console.log('Append successful');
-
-            const result = { page_id: currentPage, sequence_id: numberOfElementInPage - 1 };
-
-            if (numberOfElementInPage >= config.maxElementPerPage) {
-                console.log('Increasing capacity of the linkedlist');
-                return increasePageCounter(id, currentPage).then(function(incrementedCurrentPage) {
-                    if (incrementedCurrentPage && incrementedCurrentPage > currentPage) {
-                        return createNewPage(id, incrementedCurrentPage).then(function() {
-                            return result;
-                        });
-                    }
-                    else {
-                        //Race condition, ignoring.
-                        return result;
-                    }
-                });
-            }
-            else {
-                console.log('No need to increase capacity, # of element in page:' + numberOfElementInPage + ' and max is: ' + config.maxElementPerPage);
-                return result;
-            }
-
-        })
-        .catch(err => {
-            if (err.code === 'ValidationException') {
-                console.log('Page does not exists, creating it: ' + JSON.stringify(err));
-                return createNewPage(id, currentPage).then(function() {
-                    return atomicAppendImpl(id, currentPage, value, attempt + 1);
-                });
-            }
-            else {
-                console.log('Unknown Error happened: ' + JSON.stringify(err));
-                throw new Error();
-            }
-        });
-}
-
-const increasePageCounter = function(id, currentCounterValue) {
-    const tableName = config.tableName;
-    const key = { 'id': id + constants.labels.summary };
-
-    return dynamoIncrementer.incrementCounter(config.region, config.tableName, key, 'currentPage', currentCounterValue)
-        .then(function(res) {
-        console.log('Summary has been incremented, new currentPage: ' + res.Attributes.currentPage);
-        return res.Attributes.currentPage;
-    }).catch(function(err) {
-        if (err && err.code === 'ConditionalCheckFailedException') {
-            console.log('CurrentPage already been incremented due to race condition, ignoring');
-            return undefined;
-        }
-        else {
-            console.log('Error happened when trying to increment CurrentPage: ' + JSON.stringify(err));
-            throw new Error();
-        }
-    });
-}
-
-const createNewPage = function(id, pageId) {
-    console.log('Creating a page for:' + id + ' id: ' + pageId);
-    const itemId = id + '_' + pageId;
-    const pageData = getDefaultPageData(itemId);
-    const pageInfo = {
-        TableName: config.tableName,
-        Item: pageData,
-        ConditionExpression: '#i <> :val', //CAS
-        ExpressionAttributeNames: {'#i' : 'id'},
-        ExpressionAttributeValues: {':val' : itemId},
-        ReturnValues: 'ALL_OLD'
-    };
-    return dynamoDb.put(pageInfo).promise()
-        .then(res => {
-            console.log('Page created: ' + pageId);
-        })
-        .catch(err => {
-            if (err.code === 'ConditionalCheckFailedException') {
-                console.log('Error page already exists; most likely a race condition, ignoring');
-            }
-            else {
-                console.log('Error happened in creating new page: ' + JSON.stringify(err));
-                throw new Error();
-            }
-        });
+/* The page has been created but the append still can't find it. */
+const pageStillMissing = function(id, pageId) {
+    return new errors.CreateNewPageError('Page ' + pageId + ' of LinkedList ' + id + ' still does not exist after being created', id, pageId);
 }
 
-const getDefaultPageData = function(itemId) {
+const getDefaultPageData = function(itemId, timeToLiveInSeconds) {
     const timestamp = new Date().getTime();
-    return {
-        v: 1,
+    const pageData = {
+        v: pageVersions.latestVersion('page'),
         id: itemId,
         submittedAt: timestamp,
         data_list: []
     };
-}
-
-const getCurrentPage = function(id) {
-    return getPageData(id, constants.labels.summary, 'currentPage')
-        .then(function(data) {
-            console.log('Retrieved currentPage:' + data.currentPage);
-            return data.currentPage;
-        });
-}
-
-const appendDataToPage = function(id, pageId, data) {
-    console.log('Appending a message to LinkedList: ' + id + ' page: ' + pageId);
-
-    const insertImpl = function() {
-        const itemId = id + '_' + pageId;
-        const atomicAppendListUpdate = {
-            TableName: config.tableName,
-            Key: { 'id': itemId },
-            UpdateExpression : 'SET #attrName = list_append(#attrName, :attrValue)',
-            ExpressionAttributeNames : {
-            '#attrName' : 'data_list'
-            },
-            ExpressionAttributeValues : {
-            ':attrValue' : [data]
-            },
-            ReturnValues: 'ALL_NEW'
-        };
-        return dynamoDb.update(atomicAppendListUpdate).promise();
+    if (timeToLiveInSeconds) {
+        pageData.ttl = Math.floor(timestamp / 1000) + timeToLiveInSeconds;
     }
-
-    return insertImpl()
-        .then(res => {
-            return res.Attributes.data_list.length;
-        });
-}
-
-const getPageData = function(id, pageId, specificFieldToFilterOn) {
-    return dynamoRetriever.getDynamoItem(config.region,
-                                         config.tableName,
-                                         'id',
-                                         id + pageId,
-                                         specificFieldToFilterOn)
-                        .then(function(data) {
-                            var returnValue = undefined;
-                            if (data && data.Item) {
-                                returnValue = data.Item;
-                            }
-                            return returnValue;
-                        });
+    return pageData;
 }
 
-const config = {
-    tableName: '',
-    region: '',
-    maxElementPerPage: 50 //default
+const getDefaultIdempotencyRecord = function(recordId) {
+    const timestamp = new Date().getTime();
+    return {
+        v: 1,
+        id: recordId,
+        submittedAt: timestamp,
+        pointers: []
+    };
 }
 
 const constants = {
     labels: {
         summary: '_summary',
+        idempotency: '_idempotency_',
+        overflow: '_overflow_',
+        stripe: '_stripe_',
         publicSummary: 'summary'
+    },
+    maxItemSizeInBytes: 400 * 1024, //DynamoDB limit
+    pageMetadataSizeInBytes: 1024,
+    compactionGracePeriodInMs: 60 * 1000,
+    timeRangeToleranceInMs: 10 * 1000,
+    migrationAttempts: 5,
+    maxStripes: 64,
+    maxListsPerTransaction: 50,
+    transactionAttempts: 5,
+    idempotency: {
+        leaseInMs: 10 * 1000, //renewed every third of it while the append is running
+        pollIntervalInMs: 50
+    },
+    overflowChunkSizeInBytes: 300 * 1024,
+    watch: {
+        pollIntervalInMs: 1000,
+        maxPollIntervalInMs: 30 * 1000,
+        lateItemWindowInMs: 10 * 1000
     }
 }
 
+/* Approximation of the size of a value once stored, based on its JSON serialization. */
+const sizeInBytes = function(value) {
+    return Buffer.byteLength(JSON.stringify(value) || '', 'utf8');
+}
+
 const defaultPageSummary = function(id, metadata) {
     const timestamp = new Date().getTime();
     var summary = {};
-    summary.v = 1;
+    summary.v = pageVersions.latestVersion('summary');
     summary.id = id + constants.labels.summary;
     summary.metadata = metadata;
     summary.submittedAt = timestamp;
     summary.currentPage = 0;
+    summary.metadataVersion = 0;
+    summary.itemCount = 0;
     return summary;
-}
\ No newline at end of file
+}
+
+module.exports.createLinkedListStore = createLinkedListStore;
+
+/* In-memory storage mimicking DynamoDB semantics (CAS, ValidationException...), useful for tests. */
+module.exports.createMemoryStorage = function() {
+    return memoryStorage.create();
+}
+
+module.exports.createDynamoStorage = function(region, table, client) {
+    return dynamoStorage.create(region, table, client);
+}
+
+/* Key provider encrypting the data keys with keys held in memory, see configureEncryption and value_encryption.js. */
+module.exports.createLocalKeyProvider = function(keys, currentKeyId) {
+    return valueEncryption.createLocalKeyProvider(keys, currentKeyId);
+}
+
+/* Errors thrown by the linkedlist, see errors.js. Check err.code or use instanceof. */
+module.exports.LinkedListError = errors.LinkedListError;
+module.exports.PageNotFoundError = errors.PageNotFoundError;
+module.exports.ListNotFoundError = errors.ListNotFoundError;
+module.exports.CreateNewPageError = errors.CreateNewPageError;
+module.exports.DynamoNotAvailableError = errors.DynamoNotAvailableError;
+module.exports.ThrottlingError = errors.ThrottlingError;
+module.exports.ValueTooLargeError = errors.ValueTooLargeError;
+module.exports.ItemNotFoundError = errors.ItemNotFoundError;
+module.exports.MetadataConflictError = errors.MetadataConflictError;
+module.exports.UnsupportedVersionError = errors.UnsupportedVersionError;
+module.exports.TransactionConflictError = errors.TransactionConflictError;
+module.exports.EncryptionError = errors.EncryptionError;
+module.exports.UnsupportedEncodingError = errors.UnsupportedEncodingError;
+
+/* The functions of the module are the ones of a default store, configured with configureDynamoDB, configureStorage... */
+const defaultStore = createLinkedListStore();
+Object.keys(defaultStore).forEach(function(functionName) {
+    module.exports[functionName] = defaultStore[functionName];
+});
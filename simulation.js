@@ -0,0 +1,326 @@
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+Deterministic simulation of concurrent clients over the in-memory storage, to test the claims of the linkedlist under races
+(dead-lock free, blank pages, nothing lost) instead of hoping a live table hits them.
+
+During run(operations), the calls to the storage are not executed right away: they are queued, and once every client is waiting on the storage
+the scheduler executes one of the queued calls, picked with a random generator seeded by options.seed. The same seed replays the same interleaving.
+Each executed call is a step (counted from 1), a fault can be injected at any step:
+- conditionalCheckFailed: the call fails with ConditionalCheckFailedException, as if another client had won the race (the call is not applied)
+- validation: the call fails with ValidationException (not applied)
+- throttling: the call fails with ProvisionedThroughputExceededException (not applied)
+- timeout: the call is applied, then fails with TimeoutError, so the client cannot know it landed
+
+options:
+- seed: the seed of the interleaving (and of the random faults), 0 by default
+- faults: { <step>: <fault> }, or function(step, operationName, args) returning the fault of the step or undefined
+- faultRate: probability of a random fault on each step not covered by faults, picked in faultTypes (all of them by default)
+- maxSteps: a run executing more steps is reported as a livelock, 10000 by default
+
+Invariants checked:
+- after every step: the summary of every list is not behind its last page (no page above currentPage)
+- at the end of a run: every operation settled (no dead lock, no livelock)
+- checkAppends: every acknowledged append is at its pointer, no two appends got the same pointer, no value is stored more than once,
+  and the value of an append that failed is not stored (unless it failed with a timeout: the write may have landed, once at most)
+The violations are collected in simulation.violations. The steps, with their fault and outcome, are in simulation.trace.
+
+The store must not wait on anything but the storage between two calls: use simulation.retryPolicy (retries without delay)
+and no compression (zlib runs in the thread pool). Appends to striped lists pick a random stripe and are not deterministic.
+*/
+
+'use strict';
+
+const memoryStorage = require('./memory_storage');
+
+/* Retries without back off: a timer would let the scheduler run while a client is sleeping. */
+const retryPolicy = { maxAttempts: 3, baseDelay: 0, maxDelay: 0, jitter: 0 };
+
+const faultErrors = {
+    conditionalCheckFailed: { code: 'ConditionalCheckFailedException', message: 'The conditional request failed' },
+    validation: { code: 'ValidationException', message: 'The provided expression refers to an attribute that does not exist in the item' },
+    throttling: { code: 'ProvisionedThroughputExceededException', message: 'The level of configured provisioned throughput for the table was exceeded' },
+    timeout: { code: 'TimeoutError', message: 'Connection timed out after 120000ms' }
+};
+
+const faultTypes = Object.keys(faultErrors);
+
+/* A timeout does not tell whether the write landed: the value of the append may or may not be stored. */
+const isAmbiguous = function(err) {
+    return !!err && (err.code === faultErrors.timeout.code || (!!err.cause && err.cause.code === faultErrors.timeout.code));
+}
+
+/* Whether the item holds every field of value. */
+const holds = function(item, value) {
+    return !!item && Object.keys(value).every(field => JSON.stringify(item[field]) === JSON.stringify(value[field]));
+}
+
+const injectedError = function(fault, operationName, step) {
+    const err = new Error(faultErrors[fault].message + ' (injected in ' + operationName + ' at step ' + step + ')');
+    err.code = faultErrors[fault].code;
+    err.injected = true;
+    return err;
+}
+
+/* mulberry32, enough to spread the interleavings and reproducible from a 32 bits seed. */
+const createRandom = function(seed) {
+    var state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/* The id of the item a call targets, for the trace. */
+const targetOf = function(operationName, args) {
+    if (operationName === 'transactWrite') {
+        return args[0].map(operation => operation.item ? operation.item.id : operation.itemId).join(',');
+    }
+    return operationName === 'putItemIfAbsent' ? args[0].id : args[0];
+}
+
+/* The ids of the items a call creates, the ones it deletes. */
+const writtenItemIds = function(operationName, args) {
+    if (operationName === 'putItemIfAbsent') {
+        return { created: [args[0].id], deleted: [] };
+    }
+    if (operationName === 'transactWrite') {
+        return { created: args[0].filter(operation => operation.type === 'putItemIfAbsent').map(operation => operation.item.id), deleted: [] };
+    }
+    if (operationName === 'deleteItem') {
+        return { created: [], deleted: [args[0]] };
+    }
+    return { created: [], deleted: [] };
+}
+
+const nextTurn = function() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+const create = function(options) {
+    options = options || {};
+    const memory = memoryStorage.create();
+    const random = createRandom(options.seed || 0);
+    const faults = options.faults || {};
+    const faultRate = options.faultRate || 0;
+    const randomFaultTypes = options.faultTypes || faultTypes;
+    const maxSteps = options.maxSteps || 10000;
+
+    const pending = [];
+    const trace = [];
+    const violations = [];
+    const existingItemIds = {};
+    const reportedPages = {};
+    var running = false;
+    var step = 0;
+
+    const violation = function(invariant, message) {
+        violations.push({ invariant: invariant, step: step, message: message });
+    }
+
+    const recordWrites = function(operationName, args) {
+        const written = writtenItemIds(operationName, args);
+        written.created.forEach(itemId => existingItemIds[itemId] = true);
+        written.deleted.forEach(itemId => delete existingItemIds[itemId]);
+    }
+
+    /* Every list is known from its summary, its pages are the items <list id>_<n>. A page ahead of its summary is reported once. */
+    const checkSummariesNotBehind = function() {
+        const listIds = Object.keys(existingItemIds)
+            .filter(itemId => /_summary$/.test(itemId))
+            .map(itemId => itemId.substring(0, itemId.length - '_summary'.length));
+        return Promise.all(listIds.map(function(listId) {
+            return memory.getItem(listId + '_summary', 'currentPage').then(function(summary) {
+                var lastPage = -1;
+                Object.keys(existingItemIds).forEach(function(itemId) {
+                    const pageId = itemId.substring(listId.length + 1);
+                    if (itemId.indexOf(listId + '_') === 0 && /^\d+$/.test(pageId)) {
+                        lastPage = Math.max(lastPage, parseInt(pageId));
+                    }
+                });
+                const reportId = listId + '_' + lastPage;
+                if (summary && summary.currentPage !== undefined && lastPage > summary.currentPage && !reportedPages[reportId]) {
+                    reportedPages[reportId] = true;
+                    violation('summaryBehindLastPage', 'Summary of ' + listId + ' is at page ' + summary.currentPage + ' but page ' + lastPage + ' exists');
+                }
+            });
+        }));
+    }
+
+    const pickFault = function(operationName, args) {
+        const fault = typeof faults === 'function' ? faults(step, operationName, args) : faults[step];
+        if (fault !== undefined) {
+            if (!faultErrors[fault]) {
+                throw new Error('Unknown fault: ' + fault + ', expected one of ' + faultTypes.join(', '));
+            }
+            return fault;
+        }
+        if (faultRate > 0 && random() < faultRate) {
+            return randomFaultTypes[Math.floor(random() * randomFaultTypes.length)];
+        }
+        return undefined;
+    }
+
+    const execute = function(call) {
+        step++;
+        const fault = pickFault(call.operationName, call.args);
+        const traced = { step: step, operation: call.operationName, itemId: targetOf(call.operationName, call.args), fault: fault };
+        trace.push(traced);
+        if (fault && fault !== 'timeout') {
+            traced.outcome = faultErrors[fault].code;
+            call.reject(injectedError(fault, call.operationName, step));
+            return Promise.resolve();
+        }
+        return memory[call.operationName].apply(memory, call.args).then(function(result) {
+            recordWrites(call.operationName, call.args);
+            return checkSummariesNotBehind().then(function() {
+                if (fault === 'timeout') {
+                    traced.outcome = faultErrors.timeout.code;
+                    call.reject(injectedError(fault, call.operationName, step));
+                    return;
+                }
+                traced.outcome = 'ok';
+                call.resolve(result);
+            });
+        }, function(err) {
+            traced.outcome = err.code || 'error';
+            call.reject(err);
+        });
+    }
+
+    /* Outside of a run the calls go straight to the memory (setting a list up, reading it to check the results). */
+    const storage = {};
+    Object.keys(memory).forEach(function(operationName) {
+        storage[operationName] = function() {
+            const args = Array.prototype.slice.call(arguments);
+            if (!running) {
+                return memory[operationName].apply(memory, args).then(function(result) {
+                    recordWrites(operationName, args);
+                    return result;
+                });
+            }
+            return new Promise(function(resolve, reject) {
+                pending.push({ operationName: operationName, args: args, resolve: resolve, reject: reject });
+            });
+        };
+    });
+
+    /* Starts the operations (functions returning a promise) together and schedules their storage calls until they all settled.
+    Resolves the outcome of each operation, in the same order: { result } or { error }. Unsettled operations (dead lock or livelock) get { stalled: true }. */
+    const run = function(operations) {
+        if (running) {
+            return Promise.reject(new Error('A simulation is already running'));
+        }
+        running = true;
+        const outcomes = operations.map(() => undefined);
+        var settled = 0;
+        operations.forEach(function(operation, i) {
+            Promise.resolve().then(operation).then(function(result) {
+                outcomes[i] = { result: result };
+                settled++;
+            }, function(err) {
+                outcomes[i] = { error: err };
+                settled++;
+            });
+        });
+
+        const stop = function(invariant, message) {
+            if (invariant) {
+                violation(invariant, message);
+            }
+            running = false;
+            //The calls still queued never complete, their operations stay pending
+            pending.splice(0, pending.length);
+            return outcomes.map(outcome => outcome || { stalled: true });
+        }
+
+        const schedule = function() {
+            return nextTurn().then(function() {
+                if (settled === operations.length) {
+                    return stop();
+                }
+                if (pending.length === 0) {
+                    return stop('deadlock', (operations.length - settled) + ' operation(s) waiting on something else than the storage');
+                }
+                if (step >= maxSteps) {
+                    return stop('livelock', (operations.length - settled) + ' operation(s) still running after ' + maxSteps + ' steps');
+                }
+                const call = pending.splice(Math.floor(random() * pending.length), 1)[0];
+                return execute(call).then(schedule);
+            });
+        }
+
+        return schedule().catch(function(err) {
+            stop();
+            throw err;
+        });
+    }
+
+    /* The items of every page of the list and of its stripes. */
+    const readStoredItems = function(listId) {
+        const pageIds = Object.keys(existingItemIds).filter(function(itemId) {
+            return itemId.indexOf(listId + '_') === 0 && /^(stripe_\d+_)?\d+$/.test(itemId.substring(listId.length + 1));
+        });
+        return Promise.all(pageIds.map(pageId => memory.getItem(pageId, 'data_list'))).then(function(pages) {
+            return [].concat.apply([], pages.map(page => page && Array.isArray(page.data_list) ? page.data_list : []));
+        });
+    }
+
+    /* Checks the appends of a run against the list: values[i] appended by the operation with outcomes[i], the values must be distinct.
+    A pointer is { page_id, sequence_id }, of the list or of one of its stripes ({ stripe_id, page_id, sequence_id }).
+    Every value is looked for in all the pages: stored at most once, and never when its append failed with anything else than a timeout.
+    Resolves the new violations. */
+    const checkAppends = function(listId, values, outcomes) {
+        const violationsBefore = violations.length;
+        const seen = {};
+        return readStoredItems(listId).then(function(storedItems) {
+            outcomes.forEach(function(outcome, i) {
+                const copies = storedItems.filter(item => holds(item, values[i])).length;
+                if (outcome && outcome.error && !isAmbiguous(outcome.error) && copies > 0) {
+                    violation('failedAppendStored', 'Operation ' + i + ' failed (' + outcome.error.message + ') but its value is stored ' + copies + ' time(s)');
+                }
+                else if (copies > 1) {
+                    violation('duplicateAppend', 'The value of operation ' + i + ' is stored ' + copies + ' times');
+                }
+            });
+        })
+        .then(() => Promise.all(outcomes.map(function(outcome, i) {
+            if (!outcome || !outcome.result) {
+                return Promise.resolve();
+            }
+            const pointer = outcome.result;
+            const pageListId = pointer.stripe_id !== undefined ? listId + '_stripe_' + pointer.stripe_id : listId;
+            const key = pageListId + '_' + pointer.page_id + ':' + pointer.sequence_id;
+            if (seen[key] !== undefined) {
+                violation('duplicatePointer', 'Operations ' + seen[key] + ' and ' + i + ' were both acknowledged at ' + key);
+            }
+            seen[key] = i;
+            return memory.getItem(pageListId + '_' + pointer.page_id, 'data_list').then(function(page) {
+                const item = page && page.data_list ? page.data_list[parseInt(pointer.sequence_id)] : undefined;
+                if (!holds(item, values[i])) {
+                    violation('lostAppend', 'Operation ' + i + ' was acknowledged at ' + key + ' but holds ' + JSON.stringify(item));
+                }
+            });
+        })))
+        .then(() => violations.slice(violationsBefore));
+    }
+
+    return {
+        storage: storage,
+        retryPolicy: retryPolicy,
+        run: run,
+        checkAppends: checkAppends,
+        trace: trace,
+        violations: violations
+    };
+}
+
+module.exports.retryPolicy = retryPolicy;
+module.exports.faultTypes = faultTypes;
+module.exports.create = create;
@@ -11,6 +11,25 @@ const region = 'eu-west-3';
 const table = 'testlinkedlist';
 const maxEltPerPage = 2;
 
+/* An error as the AWS SDK rejects it, identified by its code. */
+const awsError = function(code) {
+    const err = new Error(code + ' from AWS');
+    err.code = code;
+    return err;
+};
+
+/* Creates a list holding numberOfItems values (Hello0, Hello1...) in the store, resolves its id. */
+const createListWithItems = function(store, numberOfItems) {
+    const id = uuid.v1();
+    const values = [];
+    for (var i = 0; i < numberOfItems; i++) {
+        values.push({ val: 'Hello' + i });
+    }
+    return store.idempotentCreate(id)
+        .then(() => store.atomicBulkAppendBulk(id, values))
+        .then(() => id);
+};
+
 describe('scalable_linked_list', function() {
     it('configuring the linkedlist should work successfully', function() {
         scalableLinkedList.configureDynamoDB(region, table);
@@ -170,4 +189,2606 @@ describe('scalable_linked_list', function() {
             });
         });
     });
-});
\ No newline at end of file
+});
+describe('scalable_linked_list (in-memory storage)', function() {
+    const memoryLinkedListId = uuid.v1();
+    var memoryStorage;
+
+    before(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        scalableLinkedList.configureStorage(memoryStorage);
+        scalableLinkedList.configureMaximumNumberOfElementPerPage(maxEltPerPage);
+    });
+
+    it('It can create a summary page and refuses to create it twice', function(done) {
+        scalableLinkedList.idempotentCreate(memoryLinkedListId, { owner: 'tests' })
+        .then(function(summaryObject) {
+            expect(summaryObject.id).to.equal(memoryLinkedListId + scalableLinkedList.getConstants().labels.summary);
+            return scalableLinkedList.getPage(memoryLinkedListId, scalableLinkedList.getConstants().labels.summary);
+        })
+        .then(function(summaryObject) {
+            expect(summaryObject.currentPage).to.equal(0);
+            expect(summaryObject.metadata.owner).to.equal('tests');
+            return scalableLinkedList.idempotentCreate(memoryLinkedListId);
+        })
+        .then(function() {
+            done(new Error('The summary page should not have been overwritten'));
+        }, function(err) {
+            expect(err.code).to.equal('ConditionalCheckFailedException');
+            done();
+        })
+        .catch(done);
+    });
+
+    it('It can append messages successfully and scale up', function(done) {
+        const asyncAppendCalls = function(numberOfCallsToMake, currentCall = 0) {
+            if (currentCall >= numberOfCallsToMake) {
+                return Promise.resolve();
+            }
+            return scalableLinkedList.atomicAppend(memoryLinkedListId, { val: 'Hello' + currentCall }).then(function(pointer) {
+                expect(pointer.page_id).to.equal(Math.floor(currentCall / maxEltPerPage));
+                expect(pointer.sequence_id).to.equal(currentCall % maxEltPerPage);
+                return asyncAppendCalls(numberOfCallsToMake, currentCall + 1);
+            });
+        }
+
+        asyncAppendCalls(5)
+        .then(function() {
+            return scalableLinkedList.getCurrentPage(memoryLinkedListId);
+        })
+        .then(function(currentPage) {
+            expect(currentPage).to.equal(2);
+            done();
+        })
+        .catch(done);
+    });
+
+    it('It can retrieve a page', function(done) {
+        scalableLinkedList.retrieve(memoryLinkedListId, 1)
+        .then(function(result) {
+            expect(result.data.length).to.equal(2);
+            expect(result.data[1].val).to.equal('Hello3');
+            expect(result.data[1].page_id).to.equal('1');
+            expect(result.data[1].sequence_id).to.equal('1');
+            done();
+        })
+        .catch(done);
+    });
+
+    it('It can retrieve the last N elements and the next ones', function(done) {
+        scalableLinkedList.retrieveLastMostRecent(memoryLinkedListId, 3, function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello4', 'Hello3', 'Hello2']);
+
+            scalableLinkedList.retrieveNextMostRecent(memoryLinkedListId, result[2], 300, function(result2) {
+                expect(result2.map(item => item.val)).to.deep.equal(['Hello1', 'Hello0']);
+                done();
+            });
+        });
+    });
+
+    it('The memory storage mimics DynamoDB conditional semantics', function(done) {
+        memoryStorage.appendToList('does_not_exist_0', 'data_list', [{ val: 'lost' }])
+        .then(function() {
+            throw new Error('list_append on a missing item should fail');
+        }, function(err) {
+            expect(err.code).to.equal('ValidationException');
+            return memoryStorage.incrementCounter(memoryLinkedListId + '_summary', 'currentPage', 0);
+        })
+        .then(function() {
+            throw new Error('Incrementing a stale counter should fail');
+        }, function(err) {
+            expect(err.code).to.equal('ConditionalCheckFailedException');
+            return memoryStorage.getItem('does_not_exist_0');
+        })
+        .then(function(item) {
+            expect(item).to.equal(undefined);
+            done();
+        })
+        .catch(done);
+    });
+});
+
+describe('atomicBulkAppendBulk (in-memory storage)', function() {
+    const bulkLinkedListId = uuid.v1();
+
+    before(function() {
+        scalableLinkedList.configureStorage(scalableLinkedList.createMemoryStorage());
+        scalableLinkedList.configureMaximumNumberOfElementPerPage(maxEltPerPage);
+        return scalableLinkedList.idempotentCreate(bulkLinkedListId);
+    });
+
+    it('It packs the values in the current page and splits them across page rollovers', function(done) {
+        scalableLinkedList.atomicAppend(bulkLinkedListId, { val: 'Single' })
+        .then(function() {
+            return scalableLinkedList.atomicBulkAppendBulk(bulkLinkedListId, [0, 1, 2, 3].map(i => ({ val: 'Bulk' + i })));
+        })
+        .then(function(pointers) {
+            expect(pointers).to.deep.equal([
+                { page_id: 0, sequence_id: 1 },
+                { page_id: 1, sequence_id: 0 },
+                { page_id: 1, sequence_id: 1 },
+                { page_id: 2, sequence_id: 0 }
+            ]);
+            return scalableLinkedList.getCurrentPage(bulkLinkedListId);
+        })
+        .then(function(currentPage) {
+            expect(currentPage).to.equal(2);
+            scalableLinkedList.retrieveLastMostRecent(bulkLinkedListId, 10, function(result) {
+                expect(result.map(item => item.val)).to.deep.equal(['Bulk3', 'Bulk2', 'Bulk1', 'Bulk0', 'Single']);
+                done();
+            });
+        })
+        .catch(done);
+    });
+
+    it('It returns no pointer for an empty batch', function(done) {
+        scalableLinkedList.atomicBulkAppendBulk(bulkLinkedListId, [])
+        .then(function(pointers) {
+            expect(pointers).to.deep.equal([]);
+            done();
+        })
+        .catch(done);
+    });
+});
+
+describe('idempotent atomicAppend (in-memory storage)', function() {
+    const idempotentLinkedListId = uuid.v1();
+    var memoryStorage;
+
+    before(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        scalableLinkedList.configureStorage(memoryStorage);
+        scalableLinkedList.configureMaximumNumberOfElementPerPage(maxEltPerPage);
+        return scalableLinkedList.idempotentCreate(idempotentLinkedListId);
+    });
+
+    it('A retried append with the same key returns the original pointer without a second copy', function(done) {
+        var originalPointer;
+        scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Once' }, { idempotencyKey: 'key-1' })
+        .then(function(pointer) {
+            originalPointer = pointer;
+            expect(pointer).to.deep.equal({ page_id: 0, sequence_id: 0 });
+            return scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Once' }, { idempotencyKey: 'key-1' });
+        })
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal(originalPointer);
+            return scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Other' }, { idempotencyKey: 'key-2' });
+        })
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 0, sequence_id: 1 });
+            scalableLinkedList.retrieveLastMostRecent(idempotentLinkedListId, 10, function(result) {
+                expect(result.map(item => item.val)).to.deep.equal(['Other', 'Once']);
+                expect(result[1].idempotency_key).to.equal('key-1');
+                done();
+            });
+        })
+        .catch(done);
+    });
+
+    it('It recovers the pointer of an append whose caller died before recording it', function(done) {
+        const key = 'key-crashed';
+        memoryStorage.putItemIfAbsent({ id: idempotentLinkedListId + '_idempotency_' + key, pointers: [] })
+        .then(function() {
+            return scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Crashed', idempotency_key: key });
+        })
+        .then(function(landedPointer) {
+            return scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Crashed' }, { idempotencyKey: key })
+            .then(function(pointer) {
+                expect(pointer).to.deep.equal(landedPointer);
+                return scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Crashed' }, { idempotencyKey: key });
+            })
+            .then(function(pointer) {
+                expect(pointer).to.deep.equal(landedPointer);
+                scalableLinkedList.retrieveLastMostRecent(idempotentLinkedListId, 10, function(result) {
+                    expect(result.filter(item => item.val === 'Crashed').length).to.equal(1);
+                    done();
+                });
+            });
+        })
+        .catch(done);
+    });
+
+    it('A retry made while the original append is in flight waits for its pointer', function() {
+        const appends = [1, 2, 3].map(() => scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Concurrent' }, { idempotencyKey: 'key-concurrent' }));
+        return Promise.all(appends)
+        .then(function(pointers) {
+            expect(pointers[1]).to.deep.equal(pointers[0]);
+            expect(pointers[2]).to.deep.equal(pointers[0]);
+            return scalableLinkedList.retrieveLastMostRecent(idempotentLinkedListId, 20);
+        })
+        .then(function(items) {
+            expect(items.filter(item => item.val === 'Concurrent').length).to.equal(1);
+        });
+    });
+
+    it('A slow append renews its lease, a retry outliving the lease still waits for its pointer', function() {
+        const key = 'key-slow';
+        const idempotency = scalableLinkedList.getConstants().idempotency;
+        const leaseInMs = idempotency.leaseInMs;
+        idempotency.leaseInMs = 60;
+        //The original append takes 5 leases, as if it was throttled and retried
+        scalableLinkedList.configureStorage(Object.assign({}, memoryStorage, {
+            appendToList: function(itemId) {
+                const args = arguments;
+                const delay = itemId.indexOf('_idempotency_') < 0 ? 300 : 0;
+                return new Promise(resolve => setTimeout(resolve, delay)).then(() => memoryStorage.appendToList.apply(memoryStorage, args));
+            }
+        }));
+        const original = scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Slow' }, { idempotencyKey: key });
+        const retry = new Promise(resolve => setTimeout(resolve, 150))
+            .then(() => scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Slow' }, { idempotencyKey: key }));
+        return Promise.all([original, retry])
+        .then(function(pointers) {
+            expect(pointers[1]).to.deep.equal(pointers[0]);
+            return scalableLinkedList.retrieveLastMostRecent(idempotentLinkedListId, 20);
+        })
+        .then(function(items) {
+            expect(items.filter(item => item.val === 'Slow').length).to.equal(1);
+        })
+        .then(function() {
+            idempotency.leaseInMs = leaseInMs;
+            scalableLinkedList.configureStorage(memoryStorage);
+        }, function(err) {
+            idempotency.leaseInMs = leaseInMs;
+            scalableLinkedList.configureStorage(memoryStorage);
+            throw err;
+        });
+    });
+
+    it('A claim whose lease expired is taken over and appended once', function() {
+        const key = 'key-expired';
+        const expiredAt = new Date().getTime() - 60 * 1000;
+        return memoryStorage.putItemIfAbsent({ id: idempotentLinkedListId + '_idempotency_' + key, submittedAt: expiredAt, pointers: [] })
+        .then(() => Promise.all([
+            scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Expired' }, { idempotencyKey: key }),
+            scalableLinkedList.atomicAppend(idempotentLinkedListId, { val: 'Expired' }, { idempotencyKey: key })
+        ]))
+        .then(function(pointers) {
+            expect(pointers[1]).to.deep.equal(pointers[0]);
+            return Promise.all([scalableLinkedList.retrieveLastMostRecent(idempotentLinkedListId, 20), memoryStorage.getItem(idempotentLinkedListId + '_idempotency_' + key)]);
+        })
+        .then(function(results) {
+            expect(results[0].filter(item => item.val === 'Expired').length).to.equal(1);
+            expect(results[1].submittedAt).to.be.above(expiredAt);
+            expect(results[1].pointers[0]).to.deep.equal({ page_id: parseInt(results[0][0].page_id), sequence_id: parseInt(results[0][0].sequence_id) });
+        });
+    });
+});
+
+describe('forward iteration (in-memory storage)', function() {
+    const forwardLinkedListId = uuid.v1();
+    var memoryStorage;
+
+    before(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        scalableLinkedList.configureStorage(memoryStorage);
+        scalableLinkedList.configureMaximumNumberOfElementPerPage(maxEltPerPage);
+        return scalableLinkedList.idempotentCreate(forwardLinkedListId)
+            .then(() => scalableLinkedList.atomicBulkAppendBulk(forwardLinkedListId, [0, 1, 2, 3].map(i => ({ val: 'Hello' + i }))))
+            //Leaves page 2 blank, like a lost race would
+            .then(() => memoryStorage.incrementCounter(forwardLinkedListId + '_summary', 'currentPage', 2))
+            .then(() => scalableLinkedList.atomicAppend(forwardLinkedListId, { val: 'Hello4' }));
+    });
+
+    it('It can retrieve the first N elements and the next ones, oldest first', function(done) {
+        scalableLinkedList.retrieveFirstOldest(forwardLinkedListId, 3, function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello0', 'Hello1', 'Hello2']);
+
+            scalableLinkedList.retrieveNextOldest(forwardLinkedListId, result[2], 300, function(result2) {
+                expect(result2.map(item => item.val)).to.deep.equal(['Hello3', 'Hello4']);
+                expect(result2[1].page_id).to.equal('3');
+                done();
+            });
+        });
+    });
+
+    it('It can be iterated with for await in both directions, skipping blank pages', async function() {
+        const forwardValues = [];
+        for await (const item of scalableLinkedList.iterate(forwardLinkedListId)) {
+            forwardValues.push(item.val);
+        }
+        expect(forwardValues).to.deep.equal(['Hello0', 'Hello1', 'Hello2', 'Hello3', 'Hello4']);
+
+        const backwardValues = [];
+        const startAfterPointer = { page_id: '1', sequence_id: '1' };
+        for await (const item of scalableLinkedList.iterate(forwardLinkedListId, { direction: 'backward', startAfterPointer: startAfterPointer })) {
+            backwardValues.push(item.val);
+        }
+        expect(backwardValues).to.deep.equal(['Hello2', 'Hello1', 'Hello0']);
+    });
+
+    it('A forward iteration also visits the pages created while iterating', function(done) {
+        const iterator = scalableLinkedList.iterate(forwardLinkedListId, { startAfterPointer: { page_id: '3', sequence_id: '0' } });
+        scalableLinkedList.atomicBulkAppendBulk(forwardLinkedListId, [{ val: 'Hello5' }, { val: 'Hello6' }])
+        .then(() => iterator.next())
+        .then(function(result) {
+            expect(result.value.val).to.equal('Hello5');
+            return iterator.next();
+        })
+        .then(function(result) {
+            expect(result.value.val).to.equal('Hello6');
+            expect(result.value.page_id).to.equal('4');
+            return iterator.next();
+        })
+        .then(function(result) {
+            expect(result.done).to.equal(true);
+            done();
+        })
+        .catch(done);
+    });
+});
+
+describe('promise based retrieval (in-memory storage)', function() {
+    const promiseLinkedListId = uuid.v1();
+    var memoryStorage;
+
+    before(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        scalableLinkedList.configureStorage(memoryStorage);
+        scalableLinkedList.configureMaximumNumberOfElementPerPage(maxEltPerPage);
+        return scalableLinkedList.idempotentCreate(promiseLinkedListId)
+            .then(() => scalableLinkedList.atomicBulkAppendBulk(promiseLinkedListId, [0, 1, 2, 3, 4].map(i => ({ val: 'Hello' + i }))));
+    });
+
+    afterEach(function() {
+        scalableLinkedList.configureStorage(memoryStorage);
+    });
+
+    it('retrieveLastMostRecent and retrieveNextMostRecent return promises without callback', function() {
+        return scalableLinkedList.retrieveLastMostRecent(promiseLinkedListId, 2)
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello4', 'Hello3']);
+            return scalableLinkedList.retrieveNextMostRecent(promiseLinkedListId, result[1], 2);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello2', 'Hello1']);
+        });
+    });
+
+    it('It rejects when a page read fails instead of hanging', function() {
+        const failingStorage = Object.assign({}, memoryStorage, {
+            getItem: function(itemId, specificFieldToFilterOn) {
+                if (itemId === promiseLinkedListId + '_1') {
+                    return Promise.reject(awsError('ServiceUnavailable'));
+                }
+                return memoryStorage.getItem(itemId, specificFieldToFilterOn);
+            }
+        });
+        scalableLinkedList.configureStorage(failingStorage);
+
+        return scalableLinkedList.retrieveLastMostRecent(promiseLinkedListId, 5)
+        .then(function() {
+            throw new Error('The retrieval should have failed');
+        }, function(err) {
+            expect(err.message).to.contain('Could not read page 1');
+        });
+    });
+
+    it('The legacy callback gets the error when a page read fails', function(done) {
+        const failingStorage = Object.assign({}, memoryStorage, {
+            getItem: function(itemId, specificFieldToFilterOn) {
+                if (itemId === promiseLinkedListId + '_1') {
+                    return Promise.reject(awsError('ServiceUnavailable'));
+                }
+                return memoryStorage.getItem(itemId, specificFieldToFilterOn);
+            }
+        });
+        scalableLinkedList.configureStorage(failingStorage);
+
+        scalableLinkedList.retrieveLastMostRecent(promiseLinkedListId, 5, function(result) {
+            expect(result).to.be.an.instanceof(scalableLinkedList.LinkedListError);
+            expect(result.message).to.contain('Could not read page 1');
+            done();
+        });
+    });
+
+    it('It rejects for a list that does not exist and for an invalid pointer', function() {
+        return scalableLinkedList.retrieveLastMostRecent(uuid.v1(), 5)
+        .then(function() {
+            throw new Error('The retrieval should have failed');
+        }, function(err) {
+            expect(err.message).to.contain('does not exist');
+            return scalableLinkedList.retrieveNextMostRecent(promiseLinkedListId, { page_id: 'abc' }, 5);
+        })
+        .then(function() {
+            throw new Error('The retrieval should have failed');
+        }, function(err) {
+            expect(err).to.be.an('error');
+            expect(err.message).to.equal('No valid pointer has been set');
+        });
+    });
+
+    it('It still silently skips pages that do not exist', function() {
+        return memoryStorage.incrementCounter(promiseLinkedListId + '_summary', 'currentPage', 2)
+        .then(() => scalableLinkedList.retrieveLastMostRecent(promiseLinkedListId, 1))
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello4']);
+        });
+    });
+});
+
+describe('typed errors (in-memory storage)', function() {
+    const errorLinkedListId = uuid.v1();
+    var memoryStorage;
+
+    const expectRejection = function(promise) {
+        return promise.then(function() {
+            throw new Error('The call should have failed');
+        }, function(err) {
+            return err;
+        });
+    };
+
+    before(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        scalableLinkedList.configureStorage(memoryStorage);
+        scalableLinkedList.configureMaximumNumberOfElementPerPage(maxEltPerPage);
+        return scalableLinkedList.idempotentCreate(errorLinkedListId);
+    });
+
+    afterEach(function() {
+        scalableLinkedList.configureStorage(memoryStorage);
+    });
+
+    it('Appending to a list that does not exist fails with ListNotFoundError', function() {
+        const missingListId = uuid.v1();
+        return expectRejection(scalableLinkedList.atomicAppend(missingListId, { val: 'Hello' }))
+        .then(function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.ListNotFoundError);
+            expect(err).to.be.an.instanceof(scalableLinkedList.PageNotFoundError);
+            expect(err.code).to.equal('pageNotFound');
+            expect(err.listId).to.equal(missingListId);
+            expect(err.pageId).to.equal('summary');
+        });
+    });
+
+    it('A throttled append fails with ThrottlingError carrying the AWS error', function() {
+        const throttlingError = awsError('ProvisionedThroughputExceededException');
+        scalableLinkedList.configureStorage(Object.assign({}, memoryStorage, {
+            appendToList: () => Promise.reject(throttlingError)
+        }));
+        return expectRejection(scalableLinkedList.atomicAppend(errorLinkedListId, { val: 'Hello' }))
+        .then(function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.ThrottlingError);
+            expect(err.code).to.equal('throttled');
+            expect(err.listId).to.equal(errorLinkedListId);
+            expect(err.pageId).to.equal(0);
+            expect(err.cause).to.equal(throttlingError);
+        });
+    });
+
+    it('A failure to create a page fails with CreateNewPageError', function() {
+        scalableLinkedList.configureStorage(Object.assign({}, memoryStorage, {
+            putItemIfAbsent: () => Promise.reject(awsError('InternalServerError'))
+        }));
+        return expectRejection(scalableLinkedList.atomicAppend(errorLinkedListId, { val: 'Hello' }))
+        .then(function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.CreateNewPageError);
+            expect(err.code).to.equal('createNewPageException');
+            expect(err.pageId).to.equal(0);
+            expect(err.cause.code).to.equal('InternalServerError');
+        });
+    });
+
+    it('A storage outage during a read fails with DynamoNotAvailableError', function() {
+        scalableLinkedList.configureStorage(Object.assign({}, memoryStorage, {
+            getItem: () => Promise.reject(awsError('ServiceUnavailable'))
+        }));
+        return expectRejection(scalableLinkedList.retrieve(errorLinkedListId, 0))
+        .then(function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.DynamoNotAvailableError);
+            expect(err).to.be.an.instanceof(scalableLinkedList.LinkedListError);
+            expect(err.code).to.equal('dynamoNotAvailable');
+            expect(err.pageId).to.equal('0');
+        });
+    });
+});
+
+describe('retry policy (in-memory storage)', function() {
+    const retryLinkedListId = uuid.v1();
+    var memoryStorage;
+    var calls;
+
+    /* Fails the first numberOfFailures calls of the operation with the given error code. */
+    const flakyStorage = function(operationName, code, numberOfFailures) {
+        const storage = Object.assign({}, memoryStorage);
+        storage[operationName] = function() {
+            calls++;
+            if (calls <= numberOfFailures) {
+                return Promise.reject(awsError(code));
+            }
+            return memoryStorage[operationName].apply(memoryStorage, arguments);
+        };
+        return storage;
+    };
+
+    before(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        scalableLinkedList.configureStorage(memoryStorage);
+        scalableLinkedList.configureMaximumNumberOfElementPerPage(maxEltPerPage);
+        return scalableLinkedList.idempotentCreate(retryLinkedListId);
+    });
+
+    beforeEach(function() {
+        calls = 0;
+        scalableLinkedList.configureRetryPolicy({ maxAttempts: 3, baseDelay: 1, maxDelay: 5 });
+    });
+
+    after(function() {
+        scalableLinkedList.configureRetryPolicy({});
+        scalableLinkedList.configureStorage(memoryStorage);
+    });
+
+    it('Throttled calls are retried until they succeed', function() {
+        scalableLinkedList.configureStorage(flakyStorage('appendToList', 'ProvisionedThroughputExceededException', 2));
+        return scalableLinkedList.atomicAppend(retryLinkedListId, { val: 'Hello0' })
+        .then(function(pointer) {
+            //2 throttled calls, then the page is found missing and created, then the append succeeds
+            expect(pointer).to.deep.equal({ page_id: 0, sequence_id: 0 });
+            expect(calls).to.equal(4);
+        });
+    });
+
+    it('It gives up after maxAttempts and per operation overrides win', function() {
+        scalableLinkedList.configureRetryPolicy({ maxAttempts: 3, baseDelay: 1, maxDelay: 5, operations: { getItem: { maxAttempts: 5 } } });
+        scalableLinkedList.configureStorage(flakyStorage('getItem', 'ServiceUnavailable', 100));
+        return scalableLinkedList.getCurrentPage(retryLinkedListId)
+        .then(function() {
+            throw new Error('The read should have failed');
+        }, function(err) {
+            expect(err.code).to.equal('dynamoNotAvailable');
+            expect(calls).to.equal(5);
+        });
+    });
+
+    it('A timed-out append is not written twice, unless ambiguous retries are opted in', function() {
+        const timedOutListId = uuid.v1();
+        /* The first append lands, then its response is lost. */
+        const timingOutStorage = Object.assign({}, memoryStorage, {
+            appendToList: function() {
+                calls++;
+                return memoryStorage.appendToList.apply(memoryStorage, arguments).then(function(attributes) {
+                    if (calls === 1) {
+                        throw awsError('TimeoutError');
+                    }
+                    return attributes;
+                });
+            }
+        });
+        scalableLinkedList.configureStorage(timingOutStorage);
+        return scalableLinkedList.idempotentCreate(timedOutListId)
+        .then(() => memoryStorage.putItemIfAbsent({ id: timedOutListId + '_0', data_list: [] }))
+        .then(() => scalableLinkedList.atomicAppend(timedOutListId, { val: 'Once' }))
+        .then(function() {
+            throw new Error('The append should have failed');
+        }, function(err) {
+            expect(err.code).to.equal('dynamoNotAvailable');
+            expect(err.cause.code).to.equal('TimeoutError');
+            expect(calls).to.equal(1);
+            return memoryStorage.getItem(timedOutListId + '_0');
+        })
+        .then(function(page) {
+            expect(page.data_list.map(item => item.val)).to.deep.equal(['Once']);
+            calls = 0;
+            scalableLinkedList.configureRetryPolicy({ maxAttempts: 3, baseDelay: 1, maxDelay: 5, operations: { appendToList: { retryAmbiguousErrors: true } } });
+            return scalableLinkedList.atomicAppend(timedOutListId, { val: 'Twice' });
+        })
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 0, sequence_id: 2 });
+            return memoryStorage.getItem(timedOutListId + '_0');
+        })
+        .then(function(page) {
+            expect(page.data_list.map(item => item.val)).to.deep.equal(['Once', 'Twice', 'Twice']);
+        });
+    });
+
+    it('Conditional-check failures are never retried', function() {
+        scalableLinkedList.configureStorage(flakyStorage('putItemIfAbsent', 'ConditionalCheckFailedException', 100));
+        return scalableLinkedList.idempotentCreate(retryLinkedListId)
+        .then(function() {
+            throw new Error('The creation should have failed');
+        }, function(err) {
+            expect(err.code).to.equal('ConditionalCheckFailedException');
+            expect(calls).to.equal(1);
+        });
+    });
+});
+
+describe('independent linked list stores', function() {
+    const storeLinkedListId = uuid.v1();
+
+    it('Two stores keep their own storage and page size', function() {
+        const auditStore = scalableLinkedList.createLinkedListStore({ storage: scalableLinkedList.createMemoryStorage(), maxElementPerPage: 1 });
+        const chatStore = scalableLinkedList.createLinkedListStore({ storage: scalableLinkedList.createMemoryStorage(), maxElementPerPage: 10 });
+
+        return Promise.all([auditStore.idempotentCreate(storeLinkedListId), chatStore.idempotentCreate(storeLinkedListId)])
+        .then(() => auditStore.atomicBulkAppendBulk(storeLinkedListId, [{ val: 'Audit0' }, { val: 'Audit1' }]))
+        .then(() => chatStore.atomicBulkAppendBulk(storeLinkedListId, [{ val: 'Chat0' }, { val: 'Chat1' }]))
+        .then(() => Promise.all([auditStore.getCurrentPage(storeLinkedListId), chatStore.getCurrentPage(storeLinkedListId)]))
+        .then(function(currentPages) {
+            expect(currentPages).to.deep.equal([2, 0]);
+            expect(auditStore.getCurrentConfiguration().maxElementPerPage).to.equal(1);
+            expect(chatStore.getCurrentConfiguration().maxElementPerPage).to.equal(10);
+            return chatStore.retrieveLastMostRecent(storeLinkedListId, 10);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Chat1', 'Chat0']);
+        });
+    });
+
+    it('A store can target a DynamoDB table through the given client', function() {
+        const requests = [];
+        const recordingClient = {
+            get: function(params) {
+                requests.push(params);
+                return { promise: () => Promise.resolve({ Item: { currentPage: 7 } }) };
+            }
+        };
+        const store = scalableLinkedList.createLinkedListStore({ region: 'eu-west-1', tableName: 'audit', client: recordingClient });
+
+        return store.getCurrentPage(storeLinkedListId)
+        .then(function(currentPage) {
+            expect(currentPage).to.equal(7);
+            expect(requests[0].TableName).to.equal('audit');
+            expect(requests[0].Key).to.deep.equal({ id: storeLinkedListId + '_summary' });
+            expect(store.getCurrentConfiguration().region).to.equal('eu-west-1');
+        });
+    });
+});
+
+describe('page size limit (in-memory storage)', function() {
+    const sizeLinkedListId = uuid.v1();
+    const padding = 'x'.repeat(400);
+    var store;
+
+    before(function() {
+        store = scalableLinkedList.createLinkedListStore({
+            storage: scalableLinkedList.createMemoryStorage(),
+            maxElementPerPage: 50,
+            maxPageSizeInBytes: 1500
+        });
+        return store.idempotentCreate(sizeLinkedListId);
+    });
+
+    it('It rolls over as soon as another value of the same size would not fit', function() {
+        const appendCalls = function(numberOfCallsToMake, pointers = []) {
+            if (pointers.length >= numberOfCallsToMake) {
+                return Promise.resolve(pointers);
+            }
+            return store.atomicAppend(sizeLinkedListId, { val: padding + pointers.length }).then(function(pointer) {
+                pointers.push(pointer);
+                return appendCalls(numberOfCallsToMake, pointers);
+            });
+        };
+
+        return appendCalls(4)
+        .then(function(pointers) {
+            expect(pointers.map(pointer => pointer.page_id)).to.deep.equal([0, 0, 0, 1]);
+            return store.getPage(sizeLinkedListId, '_0');
+        })
+        .then(function(page) {
+            expect(Buffer.byteLength(JSON.stringify(page))).to.be.at.most(1500);
+        });
+    });
+
+    it('A bulk append packs the values by size', function() {
+        const values = [0, 1, 2, 3, 4].map(i => ({ val: padding + i }));
+        return store.atomicBulkAppendBulk(sizeLinkedListId, values)
+        .then(function(pointers) {
+            expect(pointers.map(pointer => pointer.page_id)).to.deep.equal([1, 1, 2, 2, 2]);
+        });
+    });
+
+    it('A value that can not fit in an empty page is rejected up front', function() {
+        return store.atomicAppend(sizeLinkedListId, { val: 'x'.repeat(1000) })
+        .then(function() {
+            throw new Error('The append should have failed');
+        }, function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.ValueTooLargeError);
+            expect(err.code).to.equal('valueTooLarge');
+            expect(err.maxSizeInBytes).to.equal(1500 - 1024);
+            return store.atomicBulkAppendBulk(sizeLinkedListId, [{ val: 'small' }, { val: 'x'.repeat(1000) }]);
+        })
+        .then(function() {
+            throw new Error('The bulk append should have failed');
+        }, function(err) {
+            expect(err.code).to.equal('valueTooLarge');
+            return store.retrieveLastMostRecent(sizeLinkedListId, 1);
+        })
+        .then(function(result) {
+            expect(result[0].val).to.equal(padding + 4);
+        });
+    });
+});
+
+describe('retention policies (in-memory storage)', function() {
+    var memoryStorage;
+    var store;
+
+    beforeEach(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: maxEltPerPage });
+    });
+
+    it('trimToLast deletes the oldest pages and reads stop at the new head', function() {
+        var id;
+        return createListWithItems(store, 7)
+        .then(function(listId) {
+            id = listId;
+            return store.trimToLast(id, 3);
+        })
+        .then(function(result) {
+            //Pages: 0 [0,1], 1 [2,3], 2 [4,5], 3 [6], keeping Hello4 onwards
+            expect(result).to.deep.equal({ firstPage: 2, deletedPages: 2 });
+            return memoryStorage.getItem(id + '_1');
+        })
+        .then(function(page) {
+            expect(page).to.equal(undefined);
+            return store.retrieveLastMostRecent(id, 100);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello6', 'Hello5', 'Hello4']);
+            return store.retrieveNextMostRecent(id, { page_id: 1, sequence_id: 1 }, 100);
+        })
+        .then(function(result) {
+            expect(result).to.deep.equal([]);
+            return store.retrieveFirstOldest(id, 1);
+        })
+        .then(function(result) {
+            expect(result[0].val).to.equal('Hello4');
+            return store.trimToLast(id, 3);
+        })
+        .then(function(result) {
+            expect(result).to.deep.equal({ firstPage: 2, deletedPages: 0 });
+        });
+    });
+
+    it('expireOlderThan deletes the pages created before the last page older than the cutoff', function() {
+        var id;
+        const twoDaysAgo = new Date().getTime() - 2 * 24 * 3600 * 1000;
+        return createListWithItems(store, 7)
+        .then(function(listId) {
+            id = listId;
+            return Promise.all([0, 1].map(pageId => memoryStorage.updateItem(id + '_' + pageId, { submittedAt: twoDaysAgo }, {})));
+        })
+        .then(() => store.expireOlderThan(id, 24 * 3600 * 1000))
+        .then(function(result) {
+            //Page 1 was created before the cutoff but can hold newer items, only page 0 is expired
+            expect(result).to.deep.equal({ firstPage: 1, deletedPages: 1 });
+            return store.retrieveFirstOldest(id, 1);
+        })
+        .then(function(result) {
+            expect(result[0].val).to.equal('Hello2');
+        });
+    });
+
+    it('deleteList deletes every page and the summary', function() {
+        var id;
+        return createListWithItems(store, 5)
+        .then(function(listId) {
+            id = listId;
+            return store.deleteList(id);
+        })
+        .then(function(result) {
+            expect(result).to.deep.equal({ deletedPages: 3 });
+            return Promise.all(['_summary', '_0', '_1', '_2'].map(suffix => memoryStorage.getItem(id + suffix)));
+        })
+        .then(function(items) {
+            expect(items).to.deep.equal([undefined, undefined, undefined, undefined]);
+            return store.retrieveLastMostRecent(id, 1).catch(err => err);
+        })
+        .then(function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.ListNotFoundError);
+        });
+    });
+
+    it('A deleteList that failed half way can be run again', function() {
+        var id;
+        var failures = 0;
+        return createListWithItems(store, 5)
+        .then(function(listId) {
+            id = listId;
+            const failingStore = scalableLinkedList.createLinkedListStore({
+                storage: Object.assign({}, memoryStorage, {
+                    deleteItem: function(itemId) {
+                        if (itemId === id + '_1' && failures++ === 0) {
+                            return Promise.reject(awsError('ServiceUnavailable'));
+                        }
+                        return memoryStorage.deleteItem(itemId);
+                    }
+                }),
+                retryPolicy: { maxAttempts: 1 }
+            });
+            return failingStore.deleteList(id).catch(err => err)
+            .then(function(err) {
+                expect(err.code).to.equal('dynamoNotAvailable');
+                return Promise.all(['_summary', '_0', '_1', '_2'].map(suffix => memoryStorage.getItem(id + suffix)));
+            })
+            .then(function(items) {
+                expect(items.map(item => item !== undefined)).to.deep.equal([true, true, true, false]);
+                return failingStore.deleteList(id);
+            });
+        })
+        .then(function(result) {
+            //Page 2 was deleted by the first run
+            expect(result).to.deep.equal({ deletedPages: 2 });
+            return Promise.all(['_summary', '_0', '_1', '_2'].map(suffix => memoryStorage.getItem(id + suffix)));
+        })
+        .then(function(items) {
+            expect(items).to.deep.equal([undefined, undefined, undefined, undefined]);
+        });
+    });
+
+    it('Pages get a ttl attribute when a time to live is configured', function() {
+        store.configureTimeToLive(3600);
+        return createListWithItems(store, 1)
+        .then(listId => memoryStorage.getItem(listId + '_0'))
+        .then(function(page) {
+            expect(page.ttl).to.equal(Math.floor(page.submittedAt / 1000) + 3600);
+        });
+    });
+});
+
+describe('updating and removing items (in-memory storage)', function() {
+    const editLinkedListId = uuid.v1();
+    var store;
+
+    before(function() {
+        store = scalableLinkedList.createLinkedListStore({ storage: scalableLinkedList.createMemoryStorage(), maxElementPerPage: maxEltPerPage });
+        return store.idempotentCreate(editLinkedListId)
+            .then(() => store.atomicBulkAppendBulk(editLinkedListId, [0, 1, 2, 3, 4].map(i => ({ val: 'Hello' + i }))));
+    });
+
+    it('updateItem replaces the item and keeps its pointer', function() {
+        return store.updateItem(editLinkedListId, { page_id: '1', sequence_id: '0' }, { val: 'Edited2' })
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 1, sequence_id: 0 });
+            return store.retrieve(editLinkedListId, 1);
+        })
+        .then(function(result) {
+            expect(result.data[0].val).to.equal('Edited2');
+            expect(result.data[0].sequence_id).to.equal('0');
+            expect(result.data[0].updated_at).to.be.a('number');
+            expect(result.data[1].val).to.equal('Hello3');
+        });
+    });
+
+    it('removeItem leaves a tombstone hidden from the retrieval functions', function() {
+        return store.removeItem(editLinkedListId, { page_id: 1, sequence_id: 1 })
+        .then(() => store.removeItem(editLinkedListId, { page_id: 1, sequence_id: 1 }))
+        .then(() => store.retrieveLastMostRecent(editLinkedListId, 3))
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello4', 'Edited2', 'Hello1']);
+            return store.retrieveLastMostRecent(editLinkedListId, 3, { includeRemoved: true });
+        })
+        .then(function(result) {
+            expect(result[1].tombstone).to.equal(true);
+            expect(result[1].val).to.equal(undefined);
+            expect(result[1].sequence_id).to.equal('1');
+            return store.retrieveNextMostRecent(editLinkedListId, { page_id: '2', sequence_id: '0' }, 2);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Edited2', 'Hello1']);
+            return store.retrieveFirstOldest(editLinkedListId, 10);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello0', 'Hello1', 'Edited2', 'Hello4']);
+            return store.retrieve(editLinkedListId, 1);
+        })
+        .then(function(result) {
+            expect(result.data.length).to.equal(1);
+        });
+    });
+
+    it('Updating a removed or missing item fails with ItemNotFoundError', function() {
+        return store.updateItem(editLinkedListId, { page_id: 1, sequence_id: 1 }, { val: 'Back' })
+        .then(function() {
+            throw new Error('The update should have failed');
+        }, function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.ItemNotFoundError);
+            expect(err.code).to.equal('itemNotFound');
+            return store.updateItem(editLinkedListId, { page_id: 2, sequence_id: 5 }, { val: 'Nowhere' });
+        })
+        .then(function() {
+            throw new Error('The update should have failed');
+        }, function(err) {
+            expect(err.code).to.equal('itemNotFound');
+            return store.retrieve(editLinkedListId, 2);
+        })
+        .then(function(result) {
+            expect(result.data.length).to.equal(1);
+        });
+    });
+});
+
+describe('compaction (in-memory storage)', function() {
+    var memoryStorage;
+    var store;
+
+    //One item per page (pages 0 to 4, current page 5 empty), then page 1 is left blank as if a race skipped it
+    const createSparseList = function() {
+        const id = uuid.v1();
+        const sparseStore = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: 1 });
+        return sparseStore.idempotentCreate(id)
+            .then(() => sparseStore.atomicBulkAppendBulk(id, [0, 1, 2, 3, 4].map(i => ({ val: 'Hello' + i }))))
+            .then(() => memoryStorage.deleteItem(id + '_1'))
+            .then(() => id);
+    };
+
+    beforeEach(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: 4 });
+    });
+
+    it('compact leaves the pages closed during the grace period untouched', function() {
+        var id;
+        return createSparseList()
+        .then(function(listId) {
+            id = listId;
+            return store.compact(id);
+        })
+        .then(function(report) {
+            expect(report).to.deep.equal({ blankPages: 0, mergedPages: 0, movedItems: 0 });
+            return memoryStorage.getItem(id + '_2');
+        })
+        .then(function(page) {
+            expect(page.data_list.length).to.equal(1);
+        });
+    });
+
+    it('compact skips blank pages and merges sparse pages, readers jump over them', function() {
+        var id;
+        const readPages = [];
+        return createSparseList()
+        .then(function(listId) {
+            id = listId;
+            return store.compact(id, { gracePeriodInMs: 0 });
+        })
+        .then(function(report) {
+            expect(report).to.deep.equal({ blankPages: 1, mergedPages: 3, movedItems: 3 });
+            return memoryStorage.getItem(id + '_0');
+        })
+        .then(function(page) {
+            expect(page.data_list.map(item => item.val)).to.deep.equal(['Hello0', 'Hello2', 'Hello3', 'Hello4']);
+            const getItem = memoryStorage.getItem;
+            memoryStorage.getItem = function(itemId) {
+                readPages.push(itemId);
+                return getItem.apply(memoryStorage, arguments);
+            };
+            return store.retrieveLastMostRecent(id, 10);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello4', 'Hello3', 'Hello2', 'Hello0']);
+            expect(result[0]).to.include({ page_id: '0', sequence_id: '3' });
+            expect(readPages).to.deep.equal([id + '_summary', id + '_5', id + '_0']);
+            return store.retrieveFirstOldest(id, 10);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello0', 'Hello2', 'Hello3', 'Hello4']);
+            //Pointers handed out before the compaction still work
+            return store.retrieveNextMostRecent(id, { page_id: '3', sequence_id: '0' }, 10);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello2', 'Hello0']);
+            return store.retrieveNextOldest(id, { page_id: 2, sequence_id: 0 }, 10);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello3', 'Hello4']);
+            return store.updateItem(id, { page_id: 4, sequence_id: 0 }, { val: 'Edited4' });
+        })
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 0, sequence_id: 3 });
+            return store.atomicAppend(id, { val: 'Hello5' });
+        })
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 5, sequence_id: 0 });
+            return store.retrieveLastMostRecent(id, 2);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello5', 'Edited4']);
+            return store.compact(id, { gracePeriodInMs: 0 });
+        })
+        .then(function(report) {
+            expect(report).to.deep.equal({ blankPages: 0, mergedPages: 0, movedItems: 0 });
+        });
+    });
+
+    it('deleteList does not count the pages compact already deleted', function() {
+        var id;
+        return createSparseList()
+        .then(function(listId) {
+            id = listId;
+            return store.compact(id, { gracePeriodInMs: 0 });
+        })
+        .then(function() {
+            return store.deleteList(id);
+        })
+        .then(function(result) {
+            //Pages 0 and 5 are left: page 1 was blank and pages 2 to 4 were merged into page 0
+            expect(result).to.deep.equal({ deletedPages: 2 });
+            return Promise.all([0, 1, 2, 3, 4, 5].map(pageId => memoryStorage.getItem(id + '_' + pageId)));
+        })
+        .then(function(pages) {
+            expect(pages.filter(page => page !== undefined)).to.deep.equal([]);
+        });
+    });
+
+    it('compact finishes a merge interrupted before the page was deleted', function() {
+        var id;
+        return createSparseList()
+        .then(function(listId) {
+            id = listId;
+            return memoryStorage.getItem(id + '_summary');
+        })
+        .then(function(summary) {
+            //The page map was written, the items of page 2 were not copied yet
+            return memoryStorage.updateItem(id + '_summary', { pageMap: { 2: { page: 0, offset: 1, count: 1 } } }, { pageMap: summary.pageMap });
+        })
+        .then(() => store.compact(id, { gracePeriodInMs: 0 }))
+        .then(function(report) {
+            expect(report).to.deep.equal({ blankPages: 1, mergedPages: 2, movedItems: 2 });
+            return memoryStorage.getItem(id + '_2');
+        })
+        .then(function(page) {
+            expect(page).to.equal(undefined);
+            return store.retrieveFirstOldest(id, 10);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello0', 'Hello2', 'Hello3', 'Hello4']);
+        });
+    });
+});
+
+describe('verifying and repairing a list (in-memory storage)', function() {
+    var memoryStorage;
+    var store;
+
+    //Pages: 0 [0,1], 1 [2,3], 2 [4]
+    beforeEach(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: maxEltPerPage });
+    });
+
+    it('verifyList reports a healthy list', function() {
+        return createListWithItems(store, 5)
+        .then(id => store.verifyList(id))
+        .then(function(report) {
+            expect(report).to.include({ firstPage: 0, currentPage: 2, checkedPages: 3, healthy: true });
+            expect(report.blankPages).to.deep.equal([]);
+            expect(report.problems).to.deep.equal([]);
+        });
+    });
+
+    it('verifyList reports a fresh list as healthy, its first page being created by the first append', function() {
+        const id = uuid.v1();
+        return store.idempotentCreate(id)
+        .then(() => store.verifyList(id))
+        .then(function(report) {
+            expect(report).to.include({ firstPage: 0, currentPage: 0, checkedPages: 1, healthy: true });
+            expect(report.blankPages).to.deep.equal([]);
+            expect(report.problems).to.deep.equal([]);
+        });
+    });
+
+    it('verifyList reports the broken pages and items', function() {
+        var id;
+        return createListWithItems(store, 5)
+        .then(function(listId) {
+            id = listId;
+            return Promise.all([
+                memoryStorage.putItemIfAbsent({ id: id + '_3', data_list: [] }),
+                memoryStorage.updateItem(id + '_0', { data_list: [{ val: 'Hello0' }, 'Hello1', { val: 'Extra' }] }),
+                memoryStorage.deleteItem(id + '_1'),
+                memoryStorage.deleteItem(id + '_2').then(() => memoryStorage.putItemIfAbsent({ id: id + '_2' }))
+            ]);
+        })
+        .then(() => store.verifyList(id))
+        .then(function(report) {
+            expect(report.healthy).to.equal(false);
+            expect(report.blankPages).to.deep.equal([1]);
+            expect(report.problems.map(problem => problem.type)).to.deep.equal(['pageOverCapacity', 'invalidItem', 'dataListMissing', 'pageAfterCurrentPage']);
+            expect(report.problems[1]).to.include({ page_id: 0, sequence_id: 1, repairable: false });
+            expect(report.problems[3]).to.include({ page_id: 3, repairable: true });
+            return store.verifyList('unknown-list').then(function() {
+                throw new Error('verifyList should have failed');
+            }, function(err) {
+                expect(err).to.be.an.instanceof(scalableLinkedList.ListNotFoundError);
+            });
+        });
+    });
+
+    it('repairList recreates the missing current page and appends work again', function() {
+        var id;
+        return createListWithItems(store, 5)
+        .then(function(listId) {
+            id = listId;
+            return memoryStorage.deleteItem(id + '_2');
+        })
+        .then(() => store.verifyList(id))
+        .then(function(report) {
+            expect(report.problems.map(problem => problem.type)).to.deep.equal(['currentPageMissing']);
+            return store.repairList(id);
+        })
+        .then(function(result) {
+            expect(result.repaired.map(problem => problem.type)).to.deep.equal(['currentPageMissing']);
+            expect(result.report.healthy).to.equal(true);
+            return store.atomicAppend(id, { val: 'Hello5' });
+        })
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 2, sequence_id: 0 });
+        });
+    });
+
+    it('repairList fixes the summary and the pages without losing items', function() {
+        var id;
+        return createListWithItems(store, 5)
+        .then(function(listId) {
+            id = listId;
+            return Promise.all([
+                memoryStorage.putItemIfAbsent({ id: id + '_3', data_list: [{ val: 'Hello5' }] }),
+                memoryStorage.deleteItem(id + '_1').then(() => memoryStorage.putItemIfAbsent({ id: id + '_1' }))
+            ]);
+        })
+        .then(() => store.repairList(id))
+        .then(function(result) {
+            expect(result.repaired.map(problem => problem.type)).to.deep.equal(['dataListMissing', 'pageAfterCurrentPage']);
+            expect(result.report).to.include({ currentPage: 3, healthy: true });
+            expect(result.report.blankPages).to.deep.equal([1]);
+            return store.retrieveFirstOldest(id, 10);
+        })
+        .then(function(result) {
+            //Page 1 was lost before the repair, repairList never drops any other item
+            expect(result.map(item => item.val)).to.deep.equal(['Hello0', 'Hello1', 'Hello4', 'Hello5']);
+        });
+    });
+});
+
+describe('watching a list (in-memory storage)', function() {
+    const watchOptions = { pollIntervalInMs: 5, maxPollIntervalInMs: 20 };
+    var memoryStorage;
+    var store;
+
+    const waitForItems = function(watcher, numberOfItems) {
+        return new Promise(function(resolve, reject) {
+            const items = [];
+            watcher.on('error', reject);
+            watcher.on('item', function(item) {
+                items.push(item);
+                if (items.length === numberOfItems) {
+                    resolve(items);
+                }
+            });
+        });
+    };
+
+    beforeEach(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: maxEltPerPage });
+    });
+
+    it('watch emits the items appended after the pointer, across rollovers', function() {
+        const id = uuid.v1();
+        var watcher;
+        return store.idempotentCreate(id)
+        .then(() => store.atomicBulkAppendBulk(id, [{ val: 'Hello0' }, { val: 'Hello1' }, { val: 'Hello2' }]))
+        .then(function() {
+            watcher = store.watch(id, { page_id: 0, sequence_id: 1 }, watchOptions);
+            const watching = waitForItems(watcher, 4);
+            return store.atomicAppend(id, { val: 'Hello3' })
+                .then(() => store.atomicBulkAppendBulk(id, [{ val: 'Hello4' }, { val: 'Hello5' }]))
+                .then(() => watching);
+        })
+        .then(function(items) {
+            watcher.stop();
+            expect(items.map(item => item.val)).to.deep.equal(['Hello2', 'Hello3', 'Hello4', 'Hello5']);
+            expect(items[3]).to.include({ page_id: '2', sequence_id: '1' });
+        });
+    });
+
+    it('watch without a pointer only emits new items, late appends to a previous page included', function() {
+        const id = uuid.v1();
+        var watcher;
+        return store.idempotentCreate(id)
+        .then(() => store.atomicBulkAppendBulk(id, [{ val: 'Hello0' }, { val: 'Hello1' }, { val: 'Hello2' }]))
+        .then(function() {
+            watcher = store.watch(id, undefined, watchOptions);
+            const watching = waitForItems(watcher, 3);
+            //Lets the watcher read where the list ends before appending
+            return new Promise(resolve => setTimeout(resolve, 20))
+                .then(() => store.atomicBulkAppendBulk(id, [{ val: 'Hello3' }, { val: 'Hello4' }]))
+                .then(() => new Promise(resolve => setTimeout(resolve, 20)))
+                //An append racing with the rollover, landing in page 1 after page 2 was created
+                .then(() => memoryStorage.appendToList(id + '_1', 'data_list', [{ val: 'Late' }]))
+                .then(() => watching);
+        })
+        .then(function(items) {
+            watcher.stop();
+            expect(items.map(item => item.val)).to.deep.equal(['Hello3', 'Hello4', 'Late']);
+            expect(items[2]).to.include({ page_id: '1', sequence_id: '2' });
+        });
+    });
+
+    it('watch reports the failed polls and keeps going', function() {
+        const watcher = store.watch('unknown-list', undefined, watchOptions);
+        return new Promise(function(resolve) {
+            watcher.once('error', resolve);
+        })
+        .then(function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.ListNotFoundError);
+            return store.idempotentCreate('unknown-list');
+        })
+        .then(function() {
+            const watching = waitForItems(watcher, 1);
+            return new Promise(resolve => setTimeout(resolve, 60))
+                .then(() => store.atomicAppend('unknown-list', { val: 'Hello0' }))
+                .then(() => watching);
+        })
+        .then(function(items) {
+            watcher.stop();
+            expect(items[0].val).to.equal('Hello0');
+        });
+    });
+
+    it('watch rejects a pointer after the current page and the striped lists', function() {
+        const id = uuid.v1();
+        const stripedId = uuid.v1();
+        const firstError = function(watcher) {
+            return new Promise(resolve => watcher.once('error', resolve)).then(function(err) {
+                watcher.stop();
+                return err;
+            });
+        };
+        return Promise.all([store.idempotentCreate(id), store.idempotentCreate(stripedId, undefined, { stripes: 2 })])
+        .then(() => store.atomicAppend(id, { val: 'Hello0' }))
+        .then(() => Promise.all([
+            firstError(store.watch(id, { page_id: '3', sequence_id: '0' }, watchOptions)),
+            firstError(store.watch(stripedId, { stripe_id: 1, page_id: 0, sequence_id: 0 }, watchOptions))
+        ]))
+        .then(function(errors) {
+            expect(errors[0]).to.be.an.instanceof(scalableLinkedList.ItemNotFoundError);
+            expect(errors[0].pageId).to.equal(3);
+            expect(errors[1].message).to.contain('is striped');
+        });
+    });
+});
+
+describe('list metadata and statistics (in-memory storage)', function() {
+    var store;
+
+    beforeEach(function() {
+        store = scalableLinkedList.createLinkedListStore({ storage: scalableLinkedList.createMemoryStorage(), maxElementPerPage: maxEltPerPage });
+    });
+
+    it('The appends only write the summary when they roll a page over', function() {
+        const id = uuid.v1();
+        const memoryStorage = scalableLinkedList.createMemoryStorage();
+        const summaryWrites = [];
+        const countingStorage = Object.assign({}, memoryStorage);
+        ['putItemIfAbsent', 'appendToList', 'incrementCounter', 'updateItem', 'addToAttributes', 'setListElement'].forEach(function(operationName) {
+            countingStorage[operationName] = function(itemOrId) {
+                if ((itemOrId.id || itemOrId) === id + '_summary') {
+                    summaryWrites.push(operationName);
+                }
+                return memoryStorage[operationName].apply(memoryStorage, arguments);
+            };
+        });
+        const countingStore = scalableLinkedList.createLinkedListStore({ storage: countingStorage, maxElementPerPage: 5 });
+        const values = Array.from({ length: 22 }, (unused, i) => ({ val: 'Hello' + i }));
+        return countingStore.idempotentCreate(id)
+        .then(() => values.reduce((previous, value) => previous.then(() => countingStore.atomicAppend(id, value)), Promise.resolve()))
+        .then(() => countingStore.getListInfo(id))
+        .then(function(info) {
+            //The creation, then an increment of currentPage and a statistics write for each of the 4 rollovers
+            expect(summaryWrites.length).to.equal(9);
+            expect(summaryWrites.filter(operationName => operationName === 'addToAttributes').length).to.equal(4);
+            expect(info).to.include({ itemCount: 22, currentPage: 4 });
+            expect(info.lastAppendAt).to.equal(values[21].appended_at);
+        });
+    });
+
+    it('getListInfo returns the metadata and the statistics maintained by the appends', function() {
+        const id = uuid.v1();
+        const before = new Date().getTime();
+        return store.idempotentCreate(id, { owner: 'Julien' })
+        .then(() => store.getListInfo(id))
+        .then(function(info) {
+            expect(info).to.deep.include({ id: id, metadata: { owner: 'Julien' }, metadataVersion: 0, itemCount: 0, firstPage: 0, currentPage: 0 });
+            expect(info.createdAt).to.be.at.least(before);
+            expect(info.lastAppendAt).to.equal(undefined);
+            return store.atomicAppend(id, { val: 'Hello0' });
+        })
+        .then(() => store.atomicBulkAppendBulk(id, [{ val: 'Hello1' }, { val: 'Hello2' }]))
+        .then(() => store.getListInfo(id))
+        .then(function(info) {
+            expect(info.itemCount).to.equal(3);
+            expect(info.currentPage).to.equal(1);
+            expect(info.lastAppendAt).to.be.at.least(info.createdAt);
+            return store.getListInfo('unknown-list').then(function() {
+                throw new Error('getListInfo should have failed');
+            }, function(err) {
+                expect(err).to.be.an.instanceof(scalableLinkedList.ListNotFoundError);
+            });
+        });
+    });
+
+    it('updateMetadata fails with MetadataConflictError when the version moved', function() {
+        const id = uuid.v1();
+        return store.idempotentCreate(id, { owner: 'Julien' })
+        .then(() => store.updateMetadata(id, { owner: 'Alice' }, 0))
+        .then(function(version) {
+            expect(version).to.equal(1);
+            return store.updateMetadata(id, { owner: 'Bob' }, 0);
+        })
+        .then(function() {
+            throw new Error('The update should have failed');
+        }, function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.MetadataConflictError);
+            expect(err.code).to.equal('metadataConflict');
+            expect(err.actualVersion).to.equal(1);
+            return store.updateMetadata(id, { owner: 'Carol' });
+        })
+        .then(function(version) {
+            expect(version).to.equal(2);
+            return store.getListInfo(id);
+        })
+        .then(function(info) {
+            expect(info).to.deep.include({ metadata: { owner: 'Carol' }, metadataVersion: 2 });
+        });
+    });
+});
+
+describe('time range queries (in-memory storage)', function() {
+    const minute = 60 * 1000;
+    const start = new Date('2017-03-01T00:00:00Z').getTime();
+    var memoryStorage;
+    var store;
+
+    //20 items, 2 per page: page p is created at minute 2p and item i is appended at minute i
+    const createListOverTwentyMinutes = function() {
+        const id = uuid.v1();
+        const values = [];
+        for (var i = 0; i < 20; i++) {
+            values.push({ val: 'Hello' + i });
+        }
+        const rewritePage = function(pageId) {
+            return memoryStorage.getItem(id + '_' + pageId).then(function(page) {
+                page.data_list.forEach((item, k) => item.appended_at = start + (2 * pageId + k) * minute);
+                return memoryStorage.updateItem(id + '_' + pageId, { submittedAt: start + 2 * pageId * minute, data_list: page.data_list });
+            });
+        };
+        return store.idempotentCreate(id)
+            .then(() => store.atomicBulkAppendBulk(id, values))
+            .then(() => Promise.all([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(rewritePage)))
+            .then(() => id);
+    };
+
+    beforeEach(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: maxEltPerPage });
+    });
+
+    it('retrieveByTimeRange returns the items appended in the range, finding the first page by binary search', function() {
+        var id;
+        const readPages = [];
+        return createListOverTwentyMinutes()
+        .then(function(listId) {
+            id = listId;
+            const getItem = memoryStorage.getItem;
+            memoryStorage.getItem = function(itemId) {
+                readPages.push(itemId);
+                return getItem.apply(memoryStorage, arguments);
+            };
+            return store.retrieveByTimeRange(id, start + 15 * minute, new Date(start + 17 * minute));
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello15', 'Hello16', 'Hello17']);
+            expect(result[0]).to.include({ page_id: '7', sequence_id: '1' });
+            //Summary, binary search then pages 7 to 9
+            expect(readPages.length).to.be.below(10);
+            return store.retrieveByTimeRange(id, start + 30 * minute, start + 40 * minute);
+        })
+        .then(function(result) {
+            expect(result).to.deep.equal([]);
+            return store.retrieveByTimeRange(id, start - minute, start + 1.5 * minute);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello0', 'Hello1']);
+        });
+    });
+
+    it('retrieveByTimeRange finds the late items of a previous page within the tolerance', function() {
+        var id;
+        return createListOverTwentyMinutes()
+        .then(function(listId) {
+            id = listId;
+            //Appended in page 1 five seconds after page 2 was created
+            return memoryStorage.appendToList(id + '_1', 'data_list', [{ val: 'Late', appended_at: start + 4 * minute + 5000 }]);
+        })
+        .then(() => store.retrieveByTimeRange(id, start + 4 * minute + 1000, start + 5 * minute))
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Late', 'Hello5']);
+            return store.retrieveByTimeRange(id, start + 4 * minute + 1000, start + 5 * minute, { toleranceInMs: 0 });
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello5']);
+        });
+    });
+});
+
+describe('ordered retrieval (in-memory storage)', function() {
+    const minute = 60 * 1000;
+    const start = new Date('2017-03-01T00:00:00Z').getTime();
+    const ordered = { ordered: true, toleranceInMs: minute };
+    var memoryStorage;
+    var store;
+    var id;
+
+    //Pages: 0 [Hello0, Hello1], 1 [Hello2, Hello3, Late], 2 [Hello4, Hello5], item i appended at minute i and page p created at minute 2p.
+    //Late is appended at 4:30 but landed in page 1, after page 2 was created.
+    before(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: maxEltPerPage });
+        id = uuid.v1();
+        const rewritePage = function(pageId) {
+            return memoryStorage.getItem(id + '_' + pageId).then(function(page) {
+                page.data_list.forEach((item, k) => item.appended_at = start + (2 * pageId + k) * minute);
+                return memoryStorage.updateItem(id + '_' + pageId, { submittedAt: start + 2 * pageId * minute, data_list: page.data_list });
+            });
+        };
+        return store.idempotentCreate(id)
+            .then(() => store.atomicBulkAppendBulk(id, [0, 1, 2, 3, 4, 5].map(i => ({ val: 'Hello' + i }))))
+            .then(() => Promise.all([0, 1, 2, 3].map(rewritePage)))
+            .then(() => memoryStorage.appendToList(id + '_1', 'data_list', [{ val: 'Late', appended_at: start + 4.5 * minute }]));
+    });
+
+    it('atomicAppend stamps the values with a timestamp that never goes backward', function() {
+        const listId = uuid.v1();
+        return store.idempotentCreate(listId)
+        .then(() => store.atomicAppend(listId, { val: 'Hello0' }))
+        .then(() => store.atomicBulkAppendBulk(listId, [{ val: 'Hello1' }, { val: 'Hello2' }]))
+        .then(() => store.retrieveFirstOldest(listId, 3))
+        .then(function(result) {
+            expect(result[0].appended_at).to.be.a('number');
+            expect(result[1].appended_at).to.be.at.least(result[0].appended_at);
+            expect(result[2].appended_at).to.equal(result[1].appended_at);
+        });
+    });
+
+    it('retrieveLastMostRecent and retrieveNextMostRecent return the items in append order', function() {
+        return store.retrieveLastMostRecent(id, 3)
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello5', 'Hello4', 'Late']);
+            return store.retrieveLastMostRecent(id, 3, ordered);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello5', 'Late', 'Hello4']);
+            return store.retrieveNextMostRecent(id, result[2], 2, ordered);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello3', 'Hello2']);
+            return store.retrieveNextMostRecent(id, { page_id: '1', sequence_id: '2' }, 2, ordered);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello4', 'Hello3']);
+        });
+    });
+
+    it('retrieveFirstOldest and retrieveNextOldest return the items in append order', function() {
+        return store.retrieveFirstOldest(id, 10, ordered)
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello0', 'Hello1', 'Hello2', 'Hello3', 'Hello4', 'Late', 'Hello5']);
+            return store.retrieveNextOldest(id, result[4], 2, ordered);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Late', 'Hello5']);
+            expect(result[0]).to.include({ page_id: '1', sequence_id: '2' });
+        });
+    });
+});
+
+describe('page versions and migration (in-memory storage)', function() {
+    const createdAt = new Date('2017-03-01T00:00:00Z').getTime();
+    var memoryStorage;
+    var store;
+
+    //A list written before appended_at existed: page 0 is a version 1 page
+    const createLegacyList = function() {
+        const id = uuid.v1();
+        return store.idempotentCreate(id)
+            .then(() => memoryStorage.putItemIfAbsent({ v: 1, id: id + '_0', submittedAt: createdAt, data_list: [{ val: 'Old0' }, { val: 'Old1' }] }))
+            .then(() => memoryStorage.updateItem(id + '_summary', { currentPage: 1 }))
+            .then(() => store.atomicAppend(id, { val: 'New2' }))
+            .then(() => id);
+    };
+
+    beforeEach(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: maxEltPerPage });
+    });
+
+    it('Readers upgrade the pages written in an older layout', function() {
+        return createLegacyList()
+        .then(id => store.retrieveFirstOldest(id, 10))
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Old0', 'Old1', 'New2']);
+            expect(result[0].appended_at).to.equal(createdAt);
+            expect(result[2].appended_at).to.be.above(createdAt);
+        });
+    });
+
+    it('Reading a page written by a newer version fails with UnsupportedVersionError', function() {
+        const id = uuid.v1();
+        return store.idempotentCreate(id)
+        .then(() => memoryStorage.putItemIfAbsent({ v: 99, id: id + '_0', data_list: [] }))
+        .then(() => store.retrieveLastMostRecent(id, 10))
+        .then(function() {
+            throw new Error('The retrieval should have failed');
+        }, function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.UnsupportedVersionError);
+            expect(err).to.include({ code: 'unsupportedVersion', pageId: '0', version: 99 });
+        });
+    });
+
+    it('migrateList rewrites the old pages without losing the appends made meanwhile', function() {
+        var id;
+        return createLegacyList()
+        .then(function(listId) {
+            id = listId;
+            //An append lands on page 0 right before its first rewrite
+            const updateItem = memoryStorage.updateItem;
+            var raced = false;
+            memoryStorage.updateItem = function(itemId) {
+                const args = arguments;
+                if (itemId !== id + '_0' || raced) {
+                    return updateItem.apply(memoryStorage, args);
+                }
+                raced = true;
+                return memoryStorage.appendToList(id + '_0', 'data_list', [{ val: 'Racing' }])
+                    .then(() => updateItem.apply(memoryStorage, args));
+            };
+            return store.migrateList(id);
+        })
+        .then(function(report) {
+            expect(report).to.deep.equal({ migratedPages: 1, upToDatePages: 2 });
+            return memoryStorage.getItem(id + '_0');
+        })
+        .then(function(page) {
+            expect(page.v).to.equal(3);
+            expect(page.data_list.map(item => item.val)).to.deep.equal(['Old0', 'Old1', 'Racing']);
+            expect(page.data_list[2].appended_at).to.equal(createdAt);
+            return store.migrateList(id);
+        })
+        .then(function(report) {
+            expect(report).to.deep.equal({ migratedPages: 0, upToDatePages: 3 });
+        });
+    });
+});
+
+describe('large values (in-memory storage)', function() {
+    var memoryStorage;
+    var overflowItemIds;
+
+    const createStore = function(largeValues) {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        overflowItemIds = [];
+        const storage = Object.assign({}, memoryStorage, {
+            putItemIfAbsent: function(item) {
+                if (item.id.indexOf('_overflow_') >= 0) {
+                    overflowItemIds.push(item.id);
+                }
+                return memoryStorage.putItemIfAbsent(item);
+            }
+        });
+        return scalableLinkedList.createLinkedListStore({ storage: storage, maxElementPerPage: maxEltPerPage, largeValues: largeValues });
+    };
+
+    //The overflow items written so far that are still in the table
+    const remainingOverflowItemIds = function() {
+        return Promise.all(overflowItemIds.map(itemId => memoryStorage.getItem(itemId))).then(function(items) {
+            return overflowItemIds.filter((itemId, i) => items[i]);
+        });
+    };
+
+    it('Values bigger than the threshold are compressed in the page and rehydrated on read', function() {
+        const store = createStore({ compression: 'gzip', compressionThresholdInBytes: 100 });
+        const id = uuid.v1();
+        const bigText = 'Hello '.repeat(5000);
+        return store.idempotentCreate(id)
+        .then(() => store.atomicAppend(id, { val: 'Small' }))
+        .then(() => store.atomicAppend(id, { val: bigText }))
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 0, sequence_id: 1 });
+            return memoryStorage.getItem(id + '_0');
+        })
+        .then(function(page) {
+            expect(page.data_list[0].val).to.equal('Small');
+            expect(page.data_list[1]).to.include({ encoding: 'gzip' });
+            expect(page.data_list[1].encoded_value.length).to.be.below(1000);
+            expect(page.data_list[1].appended_at).to.be.a('number');
+            return store.retrieveLastMostRecent(id, 2);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal([bigText, 'Small']);
+            expect(result[0]).to.include({ page_id: '0', sequence_id: '1' });
+            return store.retrieveNextMostRecent(id, { page_id: 1, sequence_id: 0 }, 1);
+        })
+        .then(function(result) {
+            expect(result[0].val).to.equal(bigText);
+            return store.retrieve(id, 0);
+        })
+        .then(function(result) {
+            expect(result.data[1].val).to.equal(bigText);
+        });
+    });
+
+    it('Values too big for a page are stored in overflow items', function() {
+        const store = createStore({ compression: 'brotli', overflowThresholdInBytes: 1000 });
+        const id = uuid.v1();
+        //Random bytes do not compress: 700KB of them need 4 chunks once in base64
+        const hugeText = require('crypto').randomBytes(700 * 1024).toString('hex');
+        return store.idempotentCreate(id)
+        .then(() => store.atomicBulkAppendBulk(id, [{ val: 'Small' }, { val: hugeText }]))
+        .then(() => memoryStorage.getItem(id + '_0'))
+        .then(function(page) {
+            expect(page.data_list[1]).to.include({ encoding: 'brotli', overflow_chunks: 4 });
+            expect(JSON.stringify(page).length).to.be.below(1000);
+            return memoryStorage.getItem(id + '_overflow_' + page.data_list[1].overflow_id + '_3');
+        })
+        .then(function(chunk) {
+            expect(chunk.chunk).to.be.a('string');
+            return store.retrieveFirstOldest(id, 2);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val.length)).to.deep.equal([5, hugeText.length]);
+            expect(result[1].val).to.equal(hugeText);
+        });
+    });
+
+    it('A missing overflow item fails the read with PageNotFoundError', function() {
+        const store = createStore({ overflowThresholdInBytes: 100 });
+        const id = uuid.v1();
+        return store.idempotentCreate(id)
+        .then(() => store.atomicAppend(id, { val: 'Hello '.repeat(100) }))
+        .then(() => memoryStorage.getItem(id + '_0'))
+        .then(function(page) {
+            expect(page.data_list[0]).to.include({ encoding: 'none', overflow_chunks: 1 });
+            return memoryStorage.deleteItem(id + '_overflow_' + page.data_list[0].overflow_id + '_0');
+        })
+        .then(() => store.retrieveLastMostRecent(id, 1))
+        .then(function() {
+            throw new Error('The retrieval should have failed');
+        }, function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.PageNotFoundError);
+            expect(err.pageId).to.equal(0);
+        });
+    });
+
+    it('Updating or removing a value deletes its overflow items, so does deleteList', function() {
+        const store = createStore({ overflowThresholdInBytes: 100 });
+        const id = uuid.v1();
+        var pointers;
+        return store.idempotentCreate(id)
+        .then(() => store.atomicBulkAppendBulk(id, [{ val: 'A'.repeat(500) }, { val: 'B'.repeat(500) }]))
+        .then(function(appendedPointers) {
+            pointers = appendedPointers;
+            return store.updateItem(id, pointers[0], { val: 'C'.repeat(500) });
+        })
+        .then(() => store.removeItem(id, pointers[1]))
+        .then(remainingOverflowItemIds)
+        .then(function(itemIds) {
+            expect(overflowItemIds.length).to.equal(3);
+            expect(itemIds).to.deep.equal([overflowItemIds[2]]);
+            return store.retrieveFirstOldest(id, 2);
+        })
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['C'.repeat(500)]);
+            return store.deleteList(id);
+        })
+        .then(remainingOverflowItemIds)
+        .then(function(itemIds) {
+            expect(itemIds).to.deep.equal([]);
+        });
+    });
+
+    it('Trimming the list deletes the overflow items of the pages it deletes', function() {
+        const store = createStore({ overflowThresholdInBytes: 100 });
+        const id = uuid.v1();
+        return store.idempotentCreate(id)
+        .then(() => store.atomicBulkAppendBulk(id, [{ val: 'A'.repeat(500) }, { val: 'B'.repeat(500) }, { val: 'C'.repeat(500) }]))
+        .then(() => store.trimToLast(id, 1))
+        .then(remainingOverflowItemIds)
+        .then(function(itemIds) {
+            expect(itemIds).to.deep.equal([overflowItemIds[2]]);
+        });
+    });
+
+    it('A retried append with the same idempotency key writes no overflow items', function() {
+        const store = createStore({ overflowThresholdInBytes: 100 });
+        const id = uuid.v1();
+        return store.idempotentCreate(id)
+        .then(() => store.atomicAppend(id, { val: 'A'.repeat(500) }, { idempotencyKey: 'request-1' }))
+        .then(() => store.atomicAppend(id, { val: 'A'.repeat(500) }, { idempotencyKey: 'request-1' }))
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 0, sequence_id: 0 });
+            expect(overflowItemIds.length).to.equal(1);
+        });
+    });
+
+    it('Values with an encoded_value or an overflow_id of their own are not taken for envelopes', function() {
+        const store = createStore({ compression: 'gzip', compressionThresholdInBytes: 100 });
+        const id = uuid.v1();
+        const values = [{ encoding: 'gzip', encoded_value: 'abc' }, { overflow_id: 'x', overflow_chunks: 1 }];
+        return store.idempotentCreate(id)
+        .then(() => store.atomicBulkAppendBulk(id, values))
+        .then(() => store.atomicAppend(id, { val: 'Hello '.repeat(100) }))
+        .then(() => memoryStorage.getItem(id + '_1'))
+        .then(function(page) {
+            expect(page.v).to.equal(3);
+            expect(page.data_list[0]).to.include({ __sll_envelope: 1, encoding: 'gzip' });
+            return store.retrieveFirstOldest(id, 3);
+        })
+        .then(function(result) {
+            expect(result[0]).to.include(values[0]);
+            expect(result[1]).to.include(values[1]);
+            expect(result[2].val).to.equal('Hello '.repeat(100));
+        });
+    });
+
+    it('The envelopes of the pages written before the marker are still rehydrated', function() {
+        const store = createStore({ compression: 'gzip', compressionThresholdInBytes: 100 });
+        const id = uuid.v1();
+        const bigText = 'Hello '.repeat(100);
+        return store.idempotentCreate(id)
+        .then(() => store.atomicAppend(id, { val: bigText }))
+        .then(() => memoryStorage.getItem(id + '_0'))
+        .then(function(page) {
+            //The page as a version 2 writer left it
+            const envelope = Object.assign({}, page.data_list[0]);
+            delete envelope.__sll_envelope;
+            return memoryStorage.deleteItem(id + '_0')
+                .then(() => memoryStorage.putItemIfAbsent(Object.assign({}, page, { v: 2, data_list: [envelope] })));
+        })
+        .then(() => store.retrieveLastMostRecent(id, 1))
+        .then(function(result) {
+            expect(result[0].val).to.equal(bigText);
+        });
+    });
+
+    it('An envelope with an unknown encoding fails the read with UnsupportedEncodingError', function() {
+        const store = createStore({ compression: 'gzip', compressionThresholdInBytes: 100 });
+        const id = uuid.v1();
+        return store.idempotentCreate(id)
+        .then(() => store.atomicAppend(id, { val: 'Hello '.repeat(100) }))
+        .then(() => memoryStorage.getItem(id + '_0'))
+        .then(function(page) {
+            const envelope = Object.assign({}, page.data_list[0], { encoding: 'zstd' });
+            return memoryStorage.deleteItem(id + '_0')
+                .then(() => memoryStorage.putItemIfAbsent(Object.assign({}, page, { data_list: [envelope] })));
+        })
+        .then(() => store.retrieveLastMostRecent(id, 1))
+        .then(function() {
+            throw new Error('The retrieval should have failed');
+        }, function(err) {
+            expect(err).to.be.an.instanceof(scalableLinkedList.UnsupportedEncodingError);
+            expect(err).to.include({ code: 'unsupportedEncoding', encoding: 'zstd', pageId: 0 });
+        });
+    });
+});
+
+describe('command line tool (in-memory storage)', function() {
+    const cli = require('./cli');
+    var store;
+    var output;
+
+    const run = function(commandLine) {
+        output = [];
+        return cli.run(commandLine.split(' '), { store: store, print: result => output.push(result) });
+    };
+
+    before(function() {
+        store = scalableLinkedList.createLinkedListStore({ storage: scalableLinkedList.createMemoryStorage(), maxElementPerPage: maxEltPerPage });
+    });
+
+    it('Parses the commands, their arguments and flags', function() {
+        expect(cli.parseArguments(['page', 'myList', '5', '--after', '1:0', '--oldest', '--table', 'myTable'])).to.deep.equal({
+            command: 'page',
+            id: 'myList',
+            args: ['5'],
+            flags: { after: '1:0', oldest: true, table: 'myTable' }
+        });
+    });
+
+    it('Creates a list, appends, shows, dumps and pages through it', function() {
+        return run('create cliList {"owner":"Julien"}')
+        .then(function() {
+            expect(output).to.deep.equal([{ created: 'cliList' }]);
+            return run('append cliList {"val":"Hello0"} Hello1 {"val":"Hello2"}');
+        })
+        .then(function() {
+            expect(output[0].map(pointer => pointer.sequence_id)).to.deep.equal([0, 1, 0]);
+            return run('show cliList');
+        })
+        .then(function() {
+            expect(output[0].summary).to.include({ currentPage: 1, itemCount: 3 });
+            expect(output[0].currentPage.data[0].val).to.equal('Hello2');
+            return run('dump cliList 0');
+        })
+        .then(function() {
+            expect(output[0].data_list[1].value).to.equal('Hello1');
+            return run('page cliList 2');
+        })
+        .then(function() {
+            expect(output.map(item => item.val || item.value || item.next)).to.deep.equal(['Hello2', 'Hello1', '--after 0:1']);
+            return run('page cliList 2 --after 0:1');
+        })
+        .then(function() {
+            expect(output.map(item => item.val || item.next)).to.deep.equal(['Hello0', '--after 0:0']);
+            return run('tail cliList 2');
+        })
+        .then(function() {
+            expect(output.map(item => item.val || item.value)).to.deep.equal(['Hello1', 'Hello2']);
+            return run('create cliList');
+        })
+        .then(function() {
+            expect(output).to.deep.equal([{ created: 'cliList', alreadyExisted: true }]);
+            return run('unknown cliList').then(function() {
+                throw new Error('The command should have failed');
+            }, function(err) {
+                expect(err.message).to.contain('Usage');
+            });
+        });
+    });
+
+    it('Shows and pages through a striped list with the stripe in its pointers', function() {
+        var pointers;
+        return run('create cliStripedList --stripes 2')
+        .then(() => run('append cliStripedList {"val":"Hello0"} {"val":"Hello1"}'))
+        //In a later millisecond, so the append order is known across the stripes
+        .then(() => new Promise(resolve => setTimeout(resolve, 2)))
+        .then(() => run('append cliStripedList {"val":"Hello2"} {"val":"Hello3"}'))
+        .then(() => run('show cliStripedList'))
+        .then(function() {
+            expect(output[0].summary.itemCount).to.equal(4);
+            expect(output[0].currentPages.map(stripe => stripe.stripe_id)).to.deep.equal([0, 1]);
+            expect(output[0].currentPages.map(stripe => stripe.currentPage.page_id)).to.deep.equal(output[0].summary.stripes.map(stripe => stripe.currentPage + ''));
+            return run('page cliStripedList 3');
+        })
+        .then(function() {
+            expect(output.slice(0, 3).map(item => item.val)).to.deep.equal(['Hello3', 'Hello2', 'Hello1']);
+            pointers = output.slice(0, 3).map(item => item.stripe_id + ':' + item.page_id + ':' + item.sequence_id);
+            expect(output[3].next).to.equal('--after ' + pointers[2]);
+            return run('page cliStripedList 3 ' + output[3].next);
+        })
+        .then(function() {
+            expect(output.map(item => item.val || item.next)).to.deep.equal(['Hello0', '--after ' + output[0].stripe_id + ':0:' + output[0].sequence_id]);
+            return run('tail cliStripedList 2 --follow').then(function() {
+                throw new Error('The command should have failed');
+            }, function(err) {
+                expect(err.message).to.contain('is striped');
+                expect(output).to.deep.equal([]);
+            });
+        });
+    });
+});
+
+describe('metrics (in-memory storage)', function() {
+    const metricsLinkedListId = uuid.v1();
+
+    /* Hooks recording every counter and timing. */
+    const recordingHooks = function() {
+        const recorded = { counters: [], timings: [] };
+        recorded.hooks = {
+            increment: (name, value, tags) => recorded.counters.push({ name: name, value: value, tags: tags }),
+            timing: (name, durationInMs, tags) => recorded.timings.push({ name: name, durationInMs: durationInMs, tags: tags })
+        };
+        recorded.total = name => recorded.counters.filter(counter => counter.name === name).reduce((total, counter) => total + counter.value, 0);
+        return recorded;
+    };
+
+    it('Appends report the items, the rollovers and the storage latencies', function() {
+        const recorded = recordingHooks();
+        const store = scalableLinkedList.createLinkedListStore({ storage: scalableLinkedList.createMemoryStorage(), maxElementPerPage: 2, metrics: recorded.hooks });
+
+        return store.idempotentCreate(metricsLinkedListId)
+        .then(() => store.atomicAppend(metricsLinkedListId, { val: 'Hello0' }))
+        .then(() => store.atomicBulkAppendBulk(metricsLinkedListId, [{ val: 'Hello1' }, { val: 'Hello2' }]))
+        .then(function() {
+            expect(recorded.total('itemsAppended')).to.equal(3);
+            expect(recorded.total('missingPageCreated')).to.equal(1);
+            const rollovers = recorded.counters.filter(counter => counter.name === 'rollover');
+            expect(rollovers.length).to.equal(1);
+            expect(rollovers[0].tags).to.deep.equal({ listId: metricsLinkedListId, reason: 'count' });
+
+            const appendTimings = recorded.timings.filter(timing => timing.tags.operation === 'appendToList');
+            expect(appendTimings.length).to.be.above(0);
+            appendTimings.forEach(timing => expect(timing.name).to.equal('storage'));
+            //The first append found no page
+            expect(appendTimings[0].tags.outcome).to.equal('ValidationException');
+            expect(appendTimings[1].tags.outcome).to.equal('ok');
+        });
+    });
+
+    it('Concurrent writers report their races', function() {
+        const recorded = recordingHooks();
+        const store = scalableLinkedList.createLinkedListStore({ storage: scalableLinkedList.createMemoryStorage(), maxElementPerPage: 1, metrics: recorded.hooks });
+
+        return store.idempotentCreate(metricsLinkedListId)
+        .then(() => Promise.all([0, 1, 2].map(i => store.atomicAppend(metricsLinkedListId, { val: 'Hello' + i }))))
+        .then(function() {
+            expect(recorded.total('itemsAppended')).to.equal(3);
+            expect(recorded.total('pageCreationRace') + recorded.total('pageCounterRace')).to.be.above(0);
+            recorded.counters.filter(counter => counter.tags.listId !== undefined).forEach(function(counter) {
+                expect(counter.tags.listId).to.equal(metricsLinkedListId);
+            });
+        });
+    });
+
+    it('Reads report the blank pages they skip', function() {
+        const recorded = recordingHooks();
+        const memoryStorage = scalableLinkedList.createMemoryStorage();
+        const store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: 1, metrics: recorded.hooks });
+
+        return store.idempotentCreate(metricsLinkedListId)
+        .then(() => store.atomicBulkAppendBulk(metricsLinkedListId, [{ val: 'Hello0' }, { val: 'Hello1' }]))
+        .then(() => memoryStorage.deleteItem(metricsLinkedListId + '_0'))
+        .then(() => store.retrieveLastMostRecent(metricsLinkedListId, 10))
+        .then(function(result) {
+            expect(result.map(item => item.val)).to.deep.equal(['Hello1']);
+            expect(recorded.total('blankPageSkipped')).to.equal(1);
+        });
+    });
+
+    it('Retries and DynamoDB consumed capacity are counted per operation', function() {
+        const recorded = recordingHooks();
+        var calls = 0;
+        const requests = [];
+        const throttlingClient = {
+            get: function(params) {
+                requests.push(params);
+                calls++;
+                if (calls === 1) {
+                    return { promise: () => Promise.reject(awsError('ProvisionedThroughputExceededException')) };
+                }
+                return { promise: () => Promise.resolve({ Item: { currentPage: 3 }, ConsumedCapacity: { CapacityUnits: 0.5 } }) };
+            }
+        };
+        const store = scalableLinkedList.createLinkedListStore({
+            tableName: 'audit',
+            client: throttlingClient,
+            retryPolicy: { baseDelay: 1, maxDelay: 5 },
+            metrics: recorded.hooks
+        });
+
+        return store.getCurrentPage(metricsLinkedListId)
+        .then(function(currentPage) {
+            expect(currentPage).to.equal(3);
+            expect(requests[0].ReturnConsumedCapacity).to.equal('TOTAL');
+            expect(recorded.counters).to.deep.equal([
+                { name: 'retry', value: 1, tags: { operation: 'getItem', code: 'ProvisionedThroughputExceededException' } },
+                { name: 'consumedCapacity', value: 0.5, tags: { operation: 'getItem' } }
+            ]);
+            expect(recorded.timings.map(timing => timing.tags)).to.deep.equal([{ operation: 'getItem', outcome: 'ok' }]);
+        });
+    });
+
+    it('A failing hook does not break the list', function() {
+        const store = scalableLinkedList.createLinkedListStore({ storage: scalableLinkedList.createMemoryStorage() });
+        store.configureMetrics({
+            increment: function() {
+                throw new Error('Metrics backend down');
+            }
+        });
+
+        return store.idempotentCreate(metricsLinkedListId)
+        .then(() => store.atomicAppend(metricsLinkedListId, { val: 'Hello0' }))
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 0, sequence_id: 0 });
+            store.configureMetrics();
+            expect(store.getCurrentConfiguration().metrics).to.deep.equal({});
+        });
+    });
+});
+
+describe('striped lists (in-memory storage)', function() {
+    const stripedLinkedListId = uuid.v1();
+    var memoryStorage;
+    var store;
+
+    before(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: 2 });
+        return store.idempotentCreate(stripedLinkedListId, { name: 'hot' }, { stripes: 3 })
+        .then(function() {
+            //One by one and in different milliseconds so their append order is known across the stripes
+            return [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].reduce(function(previous, i) {
+                return previous.then(() => store.atomicAppend(stripedLinkedListId, { val: 'Hello' + i }))
+                    .then(() => new Promise(resolve => setTimeout(resolve, 2)));
+            }, Promise.resolve());
+        });
+    });
+
+    it('The appends are spread over the stripes, each one a list of its own', function() {
+        return store.getListInfo(stripedLinkedListId)
+        .then(function(info) {
+            expect(info.metadata).to.deep.equal({ name: 'hot' });
+            expect(info.itemCount).to.equal(10);
+            expect(info.stripes.map(stripe => stripe.stripe_id)).to.deep.equal([0, 1, 2]);
+            expect(info.stripes.reduce((total, stripe) => total + stripe.itemCount, 0)).to.equal(10);
+            return memoryStorage.getItem(stripedLinkedListId + '_0');
+        })
+        .then(function(page) {
+            expect(page).to.equal(undefined);
+            return store.retrieveLastMostRecent(store.getStripeListId(stripedLinkedListId, 0), 10);
+        })
+        .then(function(items) {
+            items.forEach(item => expect(item.stripe_id).to.equal(0));
+        });
+    });
+
+    it('The retrieval functions merge the stripes back in append order', function() {
+        return store.retrieveLastMostRecent(stripedLinkedListId, 4)
+        .then(function(items) {
+            expect(items.map(item => item.val)).to.deep.equal(['Hello9', 'Hello8', 'Hello7', 'Hello6']);
+            expect(items[0].resource_id_parent).to.equal(stripedLinkedListId);
+            expect(items[0].stripe_id).to.be.a('number');
+            return store.retrieveNextMostRecent(stripedLinkedListId, items[3], 10);
+        })
+        .then(function(items) {
+            expect(items.map(item => item.val)).to.deep.equal(['Hello5', 'Hello4', 'Hello3', 'Hello2', 'Hello1', 'Hello0']);
+            return store.retrieveFirstOldest(stripedLinkedListId, 3);
+        })
+        .then(function(items) {
+            expect(items.map(item => item.val)).to.deep.equal(['Hello0', 'Hello1', 'Hello2']);
+            return store.retrieveNextOldest(stripedLinkedListId, items[2], 3);
+        })
+        .then(function(items) {
+            expect(items.map(item => item.val)).to.deep.equal(['Hello3', 'Hello4', 'Hello5']);
+        });
+    });
+
+    it('Paging stays stable while writers append', function() {
+        return store.retrieveLastMostRecent(stripedLinkedListId, 2)
+        .then(function(items) {
+            return new Promise(resolve => setTimeout(resolve, 2))
+            .then(() => store.atomicBulkAppendBulk(stripedLinkedListId, [{ val: 'Late0' }, { val: 'Late1' }]))
+            .then(function(pointers) {
+                expect(pointers[0].stripe_id).to.equal(pointers[1].stripe_id);
+                return store.retrieveNextMostRecent(stripedLinkedListId, items[1], 2);
+            });
+        })
+        .then(function(items) {
+            expect(items.map(item => item.val)).to.deep.equal(['Hello7', 'Hello6']);
+            return store.retrieveLastMostRecent(stripedLinkedListId, 2);
+        })
+        .then(function(items) {
+            expect(items.map(item => item.val)).to.deep.equal(['Late1', 'Late0']);
+        });
+    });
+
+    it('An idempotency key always goes to the same stripe', function() {
+        return store.atomicAppend(stripedLinkedListId, { val: 'Once' }, { idempotencyKey: 'striped-key' })
+        .then(function(pointer) {
+            return store.atomicAppend(stripedLinkedListId, { val: 'Once' }, { idempotencyKey: 'striped-key' })
+            .then(function(retriedPointer) {
+                expect(retriedPointer).to.deep.equal(pointer);
+                expect(pointer.stripe_id).to.be.a('number');
+            });
+        });
+    });
+
+    it('Items are updated and removed through their stripe', function() {
+        return store.retrieveLastMostRecent(stripedLinkedListId, 1)
+        .then(function(items) {
+            const pointer = { stripe_id: items[0].stripe_id, page_id: items[0].page_id, sequence_id: items[0].sequence_id };
+            return store.updateItem(stripedLinkedListId, pointer, { val: 'Updated', appended_at: items[0].appended_at })
+            .then(function(updatedPointer) {
+                expect(updatedPointer).to.deep.equal({ stripe_id: pointer.stripe_id, page_id: parseInt(pointer.page_id), sequence_id: parseInt(pointer.sequence_id) });
+                return store.retrieveLastMostRecent(stripedLinkedListId, 1);
+            })
+            .then(function(updatedItems) {
+                expect(updatedItems[0].val).to.equal('Updated');
+                expect(updatedItems[0].stripe_id).to.equal(pointer.stripe_id);
+                return store.removeItem(stripedLinkedListId, pointer);
+            });
+        })
+        .then(() => store.retrieveLastMostRecent(stripedLinkedListId, 1))
+        .then(function(items) {
+            expect(items[0].val).to.equal('Late1');
+        });
+    });
+
+    it('Invalid stripes and pointers without stripe are rejected', function() {
+        return store.idempotentCreate(uuid.v1(), undefined, { stripes: 1 })
+        .then(function() {
+            throw new Error('The creation should have failed');
+        }, function(err) {
+            expect(err.message).to.contain('stripes');
+            return store.retrieveNextMostRecent(stripedLinkedListId, { page_id: 0, sequence_id: 0 }, 2);
+        })
+        .then(function() {
+            throw new Error('The retrieval should have failed');
+        }, function(err) {
+            expect(err.message).to.contain('stripe_id');
+        });
+    });
+
+    //The functions working on a single set of pages, called with the id of the striped list instead of the ids of its stripes
+    const singleListCalls = {
+        retrieve: () => store.retrieve(stripedLinkedListId, 0),
+        iterate: () => store.iterate(stripedLinkedListId).next(),
+        retrieveByTimeRange: () => store.retrieveByTimeRange(stripedLinkedListId, 0, Date.now()),
+        trimToLast: () => store.trimToLast(stripedLinkedListId, 1),
+        expireOlderThan: () => store.expireOlderThan(stripedLinkedListId, 0),
+        compact: () => store.compact(stripedLinkedListId, { gracePeriodInMs: 0 }),
+        verifyList: () => store.verifyList(stripedLinkedListId),
+        repairList: () => store.repairList(stripedLinkedListId),
+        migrateList: () => store.migrateList(stripedLinkedListId)
+    };
+    Object.keys(singleListCalls).forEach(function(functionName) {
+        it(functionName + ' rejects the id of a striped list instead of ignoring its stripes', function() {
+            return singleListCalls[functionName]()
+            .then(function() {
+                throw new Error(functionName + ' should have failed');
+            }, function(err) {
+                expect(err.message).to.contain('is striped, call ' + functionName + ' on each of its stripes');
+            });
+        });
+    });
+
+    it('Deleting the list deletes its stripes', function() {
+        return store.deleteList(stripedLinkedListId)
+        .then(function(result) {
+            expect(result.deletedPages).to.be.above(3);
+            return Promise.all([0, 1, 2].map(stripeId => memoryStorage.getItem(store.getStripeListId(stripedLinkedListId, stripeId) + '_summary')));
+        })
+        .then(function(summaries) {
+            expect(summaries).to.deep.equal([undefined, undefined, undefined]);
+        });
+    });
+});
+
+describe('transactional fan-out append (in-memory storage)', function() {
+    const timelineId = uuid.v1();
+    const feedId = uuid.v1();
+    const auditId = uuid.v1();
+    var memoryStorage;
+    var store;
+
+    beforeEach(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+        store = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: 2 });
+        return Promise.all([timelineId, feedId, auditId].map(id => store.idempotentCreate(id)));
+    });
+
+    it('The same event is appended to every list', function() {
+        return store.atomicAppendMany([
+            { id: timelineId, value: { val: 'Post0' } },
+            { id: feedId, value: { val: 'Post0' } },
+            { id: auditId, value: { val: 'Post0' } },
+            { id: auditId, value: { val: 'Audit0' } }
+        ])
+        .then(function(pointers) {
+            expect(pointers).to.deep.equal([
+                { page_id: 0, sequence_id: 0 },
+                { page_id: 0, sequence_id: 0 },
+                { page_id: 0, sequence_id: 0 },
+                { page_id: 0, sequence_id: 1 }
+            ]);
+            return Promise.all([timelineId, feedId, auditId].map(id => store.retrieveLastMostRecent(id, 10)));
+        })
+        .then(function(results) {
+            expect(results.map(items => items.map(item => item.val))).to.deep.equal([['Post0'], ['Post0'], ['Audit0', 'Post0']]);
+            //The audit page is full, it has been rolled over after the transaction
+            return store.getListInfo(auditId);
+        })
+        .then(function(info) {
+            expect(info.currentPage).to.equal(1);
+            expect(info.itemCount).to.equal(2);
+        });
+    });
+
+    it('A full page is rolled over and a missing page created in the same transaction', function() {
+        //A writer with bigger pages filled page 0 of the timeline without rolling it over
+        const biggerPagesStore = scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: 3 });
+        return biggerPagesStore.atomicBulkAppendBulk(timelineId, [{ val: 'Hello0' }, { val: 'Hello1' }])
+        //A writer moved the current page of the feed but did not create it yet
+        .then(() => memoryStorage.incrementCounter(feedId + '_summary', 'currentPage', 0))
+        .then(function() {
+            return store.atomicAppendMany([{ id: timelineId, value: { val: 'Post0' } }, { id: feedId, value: { val: 'Post0' } }]);
+        })
+        .then(function(pointers) {
+            expect(pointers).to.deep.equal([{ page_id: 1, sequence_id: 0 }, { page_id: 1, sequence_id: 0 }]);
+            return Promise.all([store.getCurrentPage(timelineId), store.retrieveLastMostRecent(timelineId, 10), store.retrieveLastMostRecent(feedId, 10)]);
+        })
+        .then(function(results) {
+            expect(results[0]).to.equal(1);
+            expect(results[1].map(item => item.val)).to.deep.equal(['Post0', 'Hello1', 'Hello0']);
+            expect(results[2].map(item => item.val)).to.deep.equal(['Post0']);
+        });
+    });
+
+    it('It is planned again when another writer moves a page in between', function() {
+        var cancelledOnce = false;
+        const racingStorage = Object.assign({}, memoryStorage, {
+            transactWrite: function(operations) {
+                if (cancelledOnce) {
+                    return memoryStorage.transactWrite(operations);
+                }
+                cancelledOnce = true;
+                return memoryStorage.appendToList(feedId + '_0', 'data_list', [{ val: 'Concurrent' }])
+                    .then(() => memoryStorage.transactWrite(operations));
+            }
+        });
+        const racingStore = scalableLinkedList.createLinkedListStore({ storage: racingStorage, maxElementPerPage: 2 });
+
+        return store.atomicAppend(feedId, { val: 'Hello0' })
+        .then(() => store.atomicAppend(timelineId, { val: 'Hello0' }))
+        .then(function() {
+            return racingStore.atomicAppendMany([{ id: timelineId, value: { val: 'Post0' } }, { id: feedId, value: { val: 'Post0' } }]);
+        })
+        .then(function(pointers) {
+            //The feed page got full in between, so the post went to the next page
+            expect(pointers).to.deep.equal([{ page_id: 0, sequence_id: 1 }, { page_id: 1, sequence_id: 0 }]);
+            return store.retrieveLastMostRecent(feedId, 10);
+        })
+        .then(function(items) {
+            expect(items.map(item => item.val)).to.deep.equal(['Post0', 'Concurrent', 'Hello0']);
+        });
+    });
+
+    it('Nothing is appended when the transaction keeps being cancelled', function() {
+        var concurrentAppends = 0;
+        const busyStorage = Object.assign({}, memoryStorage, {
+            transactWrite: function(operations) {
+                concurrentAppends++;
+                return memoryStorage.appendToList(feedId + '_0', 'data_list', [{ val: 'Concurrent' }])
+                    .then(() => memoryStorage.transactWrite(operations));
+            }
+        });
+        const busyStore = scalableLinkedList.createLinkedListStore({ storage: busyStorage, maxElementPerPage: 50 });
+
+        return store.atomicAppend(feedId, { val: 'Hello0' })
+        .then(function() {
+            return busyStore.atomicAppendMany([{ id: timelineId, value: { val: 'Post0' } }, { id: feedId, value: { val: 'Post0' } }]);
+        })
+        .then(function() {
+            throw new Error('The append should have failed');
+        }, function(err) {
+            expect(err).to.be.instanceof(scalableLinkedList.TransactionConflictError);
+            expect(err.code).to.equal('transactionConflict');
+            expect(err.listIds).to.deep.equal([feedId]);
+            expect(concurrentAppends).to.equal(5);
+            return store.retrieveLastMostRecent(timelineId, 10);
+        })
+        .then(function(items) {
+            expect(items).to.deep.equal([]);
+        });
+    });
+
+    it('DynamoDB gets one conditional write per item and reports the cancellation reasons', function() {
+        const requests = [];
+        const transactingClient = {
+            transactWrite: function(params) {
+                requests.push(params);
+                const err = new Error('Transaction cancelled, please refer cancellation reasons for specific reasons [None, ConditionalCheckFailed]');
+                err.code = 'TransactionCanceledException';
+                return { promise: () => Promise.reject(err) };
+            }
+        };
+        const dynamoStorage = scalableLinkedList.createDynamoStorage('eu-west-1', 'audit', transactingClient);
+
+        return dynamoStorage.transactWrite([
+            { type: 'appendToList', itemId: 'feed_0', attributeName: 'data_list', values: [{ val: 'Post0' }], expectedLength: 1 },
+            { type: 'incrementCounter', itemId: 'timeline_summary', attributeName: 'currentPage', expectedValue: 0 }
+        ])
+        .then(function() {
+            throw new Error('The transaction should have failed');
+        }, function(err) {
+            expect(err.cancellationReasons).to.deep.equal(['None', 'ConditionalCheckFailed']);
+            const update = requests[0].TransactItems[0].Update;
+            expect(update.Key).to.deep.equal({ id: 'feed_0' });
+            expect(update.ConditionExpression).to.equal('size(#attrName) = :expectedLength');
+            expect(update.ExpressionAttributeValues[':expectedLength']).to.equal(1);
+            expect(requests[0].TransactItems[1].Update.ConditionExpression).to.equal('#counter = :expected');
+        });
+    });
+
+    it('The same value object sent to a striped and a plain list is stored with the stripe_id of the striped list only', function() {
+        const stripedId = uuid.v1();
+        const event = { val: 'Event' };
+        return store.idempotentCreate(stripedId, undefined, { stripes: 2 })
+        .then(() => store.atomicAppendMany([{ id: stripedId, value: event }, { id: timelineId, value: event }]))
+        .then(function(pointers) {
+            expect(pointers[0].stripe_id).to.be.a('number');
+            expect(pointers[1]).to.deep.equal({ page_id: 0, sequence_id: 0 });
+            expect(event).to.deep.equal({ val: 'Event' });
+            return store.retrieveLastMostRecent(timelineId, 1);
+        })
+        .then(function(items) {
+            expect(items[0].stripe_id).to.equal(undefined);
+            return store.updateItem(timelineId, items[0], { val: 'Edited', appended_at: items[0].appended_at });
+        })
+        .then(() => store.retrieveLastMostRecent(timelineId, 1))
+        .then(function(items) {
+            expect(items[0].val).to.equal('Edited');
+        });
+    });
+
+    it('Appends to a list that does not exist are rejected before writing anything', function() {
+        return store.atomicAppendMany([{ id: timelineId, value: { val: 'Post0' } }, { id: uuid.v1(), value: { val: 'Post0' } }])
+        .then(function() {
+            throw new Error('The append should have failed');
+        }, function(err) {
+            expect(err.code).to.equal('pageNotFound');
+            return store.retrieveLastMostRecent(timelineId, 10);
+        })
+        .then(function(items) {
+            expect(items).to.deep.equal([]);
+        });
+    });
+});
+
+describe('encryption (in-memory storage)', function() {
+    const oldKey = Buffer.alloc(32, 1);
+    const newKey = Buffer.alloc(32, 2).toString('base64');
+    var memoryStorage;
+
+    const createStore = function(encryption, largeValues) {
+        return scalableLinkedList.createLinkedListStore({ storage: memoryStorage, maxElementPerPage: maxEltPerPage, encryption: encryption, largeValues: largeValues });
+    };
+
+    beforeEach(function() {
+        memoryStorage = scalableLinkedList.createMemoryStorage();
+    });
+
+    it('Values are stored encrypted and decrypted by every retrieval function', function() {
+        const keyProvider = scalableLinkedList.createLocalKeyProvider({ old: oldKey }, 'old');
+        const store = createStore({ keyProvider: keyProvider });
+        const id = uuid.v1();
+        const from = new Date().getTime();
+        return store.idempotentCreate(id)
+        .then(() => store.atomicAppend(id, { ssn: 'secret0' }, { idempotencyKey: 'encrypted-key' }))
+        .then(() => store.atomicBulkAppendBulk(id, [{ ssn: 'secret1' }, { ssn: 'secret2' }]))
+        .then(() => memoryStorage.getItem(id + '_0'))
+        .then(function(page) {
+            expect(JSON.stringify(page)).to.not.contain('secret');
+            expect(page.data_list[0]).to.include({ encryption: 'aes-256-gcm', key_id: 'old', idempotency_key: 'encrypted-key' });
+            expect(page.data_list[0].appended_at).to.be.a('number');
+            return Promise.all([
+                store.retrieveLastMostRecent(id, 3),
+                store.retrieveFirstOldest(id, 3),
+                store.retrieveLastMostRecent(id, 3, { ordered: true }),
+                store.retrieveByTimeRange(id, from, new Date().getTime()),
+                store.retrieve(id, 0)
+            ]);
+        })
+        .then(function(results) {
+            expect(results[0].map(item => item.ssn)).to.deep.equal(['secret2', 'secret1', 'secret0']);
+            expect(results[1].map(item => item.ssn)).to.deep.equal(['secret0', 'secret1', 'secret2']);
+            expect(results[2].map(item => item.ssn)).to.deep.equal(['secret2', 'secret1', 'secret0']);
+            expect(results[3].map(item => item.ssn)).to.deep.equal(['secret0', 'secret1', 'secret2']);
+            expect(results[4].data.map(item => item.ssn)).to.deep.equal(['secret0', 'secret1']);
+            expect(results[0][2]).to.include({ page_id: '0', sequence_id: '0', idempotency_key: 'encrypted-key' });
+            //The idempotency key is still found in clear
+            return store.atomicAppend(id, { ssn: 'secret0' }, { idempotencyKey: 'encrypted-key' });
+        })
+        .then(function(pointer) {
+            expect(pointer).to.deep.equal({ page_id: 0, sequence_id: 0 });
+            return store.updateItem(id, pointer, { ssn: 'updated' });
+        })
+        .then(() => Promise.all([memoryStorage.getItem(id + '_0'), store.retrieveFirstOldest(id, 1)]))
+        .then(function(results) {
+            expect(JSON.stringify(results[0])).to.not.contain('updated');
+            expect(results[1][0].ssn).to.equal('updated');
+        });
+    });
+
+    it('Rotated keys still decrypt the values they encrypted', function() {
+        const id = uuid.v1();
+        const oldStore = createStore({ keyProvider: scalableLinkedList.createLocalKeyProvider({ old: oldKey }, 'old') });
+        const rotatedStore = createStore({ keyProvider: scalableLinkedList.createLocalKeyProvider({ old: oldKey, new: newKey }, 'new') });
+        return oldStore.idempotentCreate(id)
+        .then(() => oldStore.atomicAppend(id, { ssn: 'before' }))
+        .then(() => rotatedStore.atomicAppend(id, { ssn: 'after' }))
+        .then(() => memoryStorage.getItem(id + '_0'))
+        .then(function(page) {
+            expect(page.data_list.map(item => item.key_id)).to.deep.equal(['old', 'new']);
+            return rotatedStore.retrieveLastMostRecent(id, 2);
+        })
+        .then(function(items) {
+            expect(items.map(item => item.ssn)).to.deep.equal(['after', 'before']);
+            return oldStore.retrieveLastMostRecent(id, 2);
+        })
+        .then(function() {
+            throw new Error('The old provider does not know the new key');
+        }, function(err) {
+            expect(err).to.be.instanceof(scalableLinkedList.EncryptionError);
+            expect(err.code).to.equal('encryptionFailed');
+            expect(err.message).to.contain('key new');
+        });
+    });
+
+    it('Each tenant gets its own key', function() {
+        const tenantA = 'tenantA-' + uuid.v1();
+        const tenantB = 'tenantB-' + uuid.v1();
+        const keyProvider = scalableLinkedList.createLocalKeyProvider({ a: oldKey, b: newKey }, listId => listId.indexOf('tenantA') === 0 ? 'a' : 'b');
+        const store = createStore({ keyProvider: keyProvider });
+        return Promise.all([store.idempotentCreate(tenantA), store.idempotentCreate(tenantB)])
+        .then(() => store.atomicAppendMany([{ id: tenantA, value: { ssn: 'secretA' } }, { id: tenantB, value: { ssn: 'secretB' } }]))
+        .then(() => Promise.all([memoryStorage.getItem(tenantA + '_0'), memoryStorage.getItem(tenantB + '_0')]))
+        .then(function(pages) {
+            expect(pages.map(page => page.data_list[0].key_id)).to.deep.equal(['a', 'b']);
+            //A value copied into another list does not decrypt
+            return memoryStorage.appendToList(tenantB + '_0', 'data_list', [pages[0].data_list[0]]);
+        })
+        .then(() => store.retrieveLastMostRecent(tenantB, 2))
+        .then(function() {
+            throw new Error('The copied value should not decrypt');
+        }, function(err) {
+            expect(err.code).to.equal('encryptionFailed');
+            return store.retrieveLastMostRecent(tenantA, 1);
+        })
+        .then(function(items) {
+            expect(items[0].ssn).to.equal('secretA');
+        });
+    });
+
+    it('Encryption works with compressed and overflow values, and needs the key provider to read', function() {
+        const id = uuid.v1();
+        const bigText = 'Hello '.repeat(100000);
+        const store = createStore({ keyProvider: scalableLinkedList.createLocalKeyProvider({ old: oldKey }, 'old') }, { compression: 'gzip', overflowThresholdInBytes: 1000 });
+        return store.idempotentCreate(id)
+        .then(() => store.atomicAppend(id, { val: bigText }))
+        .then(() => memoryStorage.getItem(id + '_0'))
+        .then(function(page) {
+            expect(page.data_list[0]).to.include({ encoding: 'gzip', encryption: 'aes-256-gcm', overflow_chunks: 1 });
+            return store.retrieveLastMostRecent(id, 1);
+        })
+        .then(function(items) {
+            expect(items[0].val).to.equal(bigText);
+            store.configureEncryption();
+            return store.retrieveLastMostRecent(id, 1);
+        })
+        .then(function() {
+            throw new Error('The value should not be readable without key provider');
+        }, function(err) {
+            expect(err.code).to.equal('encryptionFailed');
+            expect(() => store.configureEncryption({ keyProvider: {} })).to.throw('encryptDataKey');
+        });
+    });
+});
+
+describe('deterministic simulation (in-memory storage)', function() {
+    const simulation = require('./simulation');
+    const seeds = Array.from({ length: 20 }, (unused, i) => i + 1);
+
+    const simulate = function(options, numberOfAppends, id, retryPolicy) {
+        const sim = simulation.create(options);
+        const store = scalableLinkedList.createLinkedListStore({ storage: sim.storage, retryPolicy: Object.assign({}, sim.retryPolicy, retryPolicy), maxElementPerPage: 2 });
+        const values = Array.from({ length: numberOfAppends }, (unused, i) => ({ val: 'value' + i }));
+        return store.idempotentCreate(id)
+        .then(() => sim.run(values.map(value => () => store.atomicAppend(id, value))))
+        .then(function(outcomes) {
+            return sim.checkAppends(id, values, outcomes).then(function() {
+                return store.retrieveFirstOldest(id, 100);
+            })
+            .then(function(items) {
+                return { sim: sim, outcomes: outcomes, items: items };
+            });
+        });
+    };
+
+    const sequentially = function(seeds, test) {
+        return seeds.reduce((previous, seed) => previous.then(() => test(seed)), Promise.resolve());
+    };
+
+    it('The same seed replays the same interleaving', function() {
+        const id = uuid.v1();
+        return Promise.all([simulate({ seed: 7 }, 6, id), simulate({ seed: 7 }, 6, id), simulate({ seed: 8 }, 6, id)])
+        .then(function(results) {
+            expect(results[0].sim.trace.length).to.be.above(12);
+            expect(results[1].sim.trace).to.deep.equal(results[0].sim.trace);
+            expect(results[2].sim.trace).to.not.deep.equal(results[0].sim.trace);
+            expect(results[1].outcomes.map(outcome => outcome.result)).to.deep.equal(results[0].outcomes.map(outcome => outcome.result));
+        });
+    });
+
+    it('Concurrent appends lose nothing and the summary never falls behind, whatever the interleaving', function() {
+        var races = 0;
+        return sequentially(seeds, function(seed) {
+            return simulate({ seed: seed }, 10, uuid.v1()).then(function(result) {
+                expect(result.sim.violations, 'seed ' + seed).to.deep.equal([]);
+                expect(result.outcomes.every(outcome => outcome.result), 'seed ' + seed).to.equal(true);
+                expect(result.items.map(item => item.val).sort()).to.deep.equal(Array.from({ length: 10 }, (unused, i) => 'value' + i).sort());
+                races += result.sim.trace.filter(step => step.outcome === 'ConditionalCheckFailedException').length;
+            });
+        })
+        .then(function() {
+            //The interleavings did hit the CAS races on the page counter and the page creation
+            expect(races).to.be.above(0);
+        });
+    });
+
+    it('Faults injected at chosen steps are recovered from', function() {
+        const id = uuid.v1();
+        const firstCalls = {};
+        const faultOnFirst = { appendToList: 'validation', incrementCounter: 'conditionalCheckFailed', putItemIfAbsent: 'throttling', getItem: 'timeout' };
+        const faults = function(step, operationName) {
+            if (firstCalls[operationName]) {
+                return undefined;
+            }
+            firstCalls[operationName] = step;
+            return faultOnFirst[operationName];
+        };
+        return simulate({ seed: 3, faults: faults }, 6, id).then(function(result) {
+            expect(result.sim.violations).to.deep.equal([]);
+            expect(result.outcomes.every(outcome => outcome.result)).to.equal(true);
+            expect(result.items.length).to.equal(6);
+            const faulted = result.sim.trace.filter(step => step.fault);
+            expect(faulted.map(step => step.operation).sort()).to.deep.equal(['appendToList', 'getItem', 'incrementCounter', 'putItemIfAbsent']);
+            expect(faulted.map(step => step.step).sort()).to.deep.equal(Object.keys(faultOnFirst).map(operationName => firstCalls[operationName]).sort());
+        });
+    });
+
+    it('A timeout after the write fails the append without writing a second copy', function() {
+        const id = uuid.v1();
+        return simulate({ seed: 5, faults: (step, operationName) => operationName === 'appendToList' && step < 10 ? 'timeout' : undefined }, 3, id)
+        .then(function(result) {
+            expect(result.sim.violations).to.deep.equal([]);
+            expect(result.sim.trace.some(step => step.fault === 'timeout')).to.equal(true);
+            expect(result.outcomes.some(outcome => outcome.error && outcome.error.cause.code === 'TimeoutError')).to.equal(true);
+            expect(result.items.map(item => item.val).sort()).to.deep.equal(['value0', 'value1', 'value2']);
+        });
+    });
+
+    it('Retrying the appends that timed out writes them twice', function() {
+        const id = uuid.v1();
+        const faults = (step, operationName) => operationName === 'appendToList' && step < 10 ? 'timeout' : undefined;
+        return simulate({ seed: 5, faults: faults }, 3, id, { retryAmbiguousErrors: true }).then(function(result) {
+            expect(result.sim.violations.map(violation => violation.invariant)).to.include('duplicateAppend');
+            expect(result.items.length).to.be.above(3);
+        });
+    });
+
+    it('Random faults never break the invariants, failed appends are reported', function() {
+        var failures = 0;
+        return sequentially(seeds, function(seed) {
+            return simulate({ seed: seed, faultRate: 0.2 }, 8, uuid.v1()).then(function(result) {
+                expect(result.sim.violations, 'seed ' + seed).to.deep.equal([]);
+                result.outcomes.filter(outcome => outcome.error).forEach(function(outcome) {
+                    expect(outcome.error).to.be.instanceof(scalableLinkedList.LinkedListError);
+                    failures++;
+                });
+                const acknowledged = result.outcomes.filter(outcome => outcome.result).length;
+                expect(result.items.length, 'seed ' + seed).to.be.at.least(acknowledged);
+            });
+        })
+        .then(function() {
+            expect(failures).to.be.above(0);
+        });
+    });
+
+    it('Violations of the invariants are reported', function() {
+        const id = uuid.v1();
+        const sim = simulation.create({ seed: 1, maxSteps: 50 });
+        const store = scalableLinkedList.createLinkedListStore({ storage: sim.storage, retryPolicy: sim.retryPolicy, maxElementPerPage: 2 });
+        return store.idempotentCreate(id)
+        .then(() => sim.run([
+            () => store.atomicAppend(id, { val: 'ok' }),
+            //A page written ahead of the summary
+            () => sim.storage.putItemIfAbsent({ id: id + '_3', data_list: [] }),
+            //Waiting on a timer, never on the storage again
+            () => new Promise(resolve => setTimeout(resolve, 100000).unref())
+        ]))
+        .then(function(outcomes) {
+            expect(outcomes[0].result).to.deep.equal({ page_id: 0, sequence_id: 0 });
+            expect(outcomes[2]).to.deep.equal({ stalled: true });
+            //'ok' is stored although its append is reported as failed
+            return sim.checkAppends(id, [{ val: 'other' }, { val: 'ok' }], [outcomes[0], { error: new Error('Refused') }]);
+        })
+        .then(function(violations) {
+            expect(violations.map(violation => violation.invariant)).to.deep.equal(['failedAppendStored', 'lostAppend']);
+            expect(sim.violations.map(violation => violation.invariant)).to.deep.equal(['summaryBehindLastPage', 'deadlock', 'failedAppendStored', 'lostAppend']);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+Encoding of the large values (see configureLargeValues): a value is serialized in JSON, optionally compressed, and kept as a base64 string,
+either inline in the page or split into chunks stored in overflow items.
+The stored item is then an envelope replacing the value in the data_list, marked by its __sll_envelope attribute (a reserved attribute of the values):
+- { encoding, encoded_value }: the value is inline, compressed with encoding ('gzip' or 'brotli')
+- { encoding, overflow_id, overflow_chunks }: the value is in overflow_chunks items "<list id>_overflow_<overflow_id>_<chunk>" ('none' if not compressed)
+The envelope keeps the appended_at and idempotency_key of the value so the pages can still be searched without decoding it.
+An encrypted value (see value_encryption.js) is encoded the same way, its encoded_value (or chunks) being the ciphertext.
+The envelopes written before the marker existed are marked when their page is upgraded to version 3 (see page_versions.js).
+*/
+
+'use strict';
+
+const zlib = require('zlib');
+
+const compressions = {
+    none: {
+        compress: (buffer, callback) => callback(null, buffer),
+        decompress: (buffer, callback) => callback(null, buffer)
+    },
+    gzip: {
+        compress: zlib.gzip,
+        decompress: zlib.gunzip
+    },
+    brotli: {
+        //The default quality (11) is far too slow to compress on every append
+        compress: (buffer, callback) => zlib.brotliCompress(buffer, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }, callback),
+        decompress: zlib.brotliDecompress
+    }
+};
+
+const envelopeMarker = '__sll_envelope';
+
+/* Attributes of the value copied on its envelope. */
+const plainAttributes = ['appended_at', 'idempotency_key'];
+
+const isSupported = function(encoding) {
+    return !!compressions[encoding];
+}
+
+const isEnvelope = function(item) {
+    return !!item && item[envelopeMarker] === 1;
+}
+
+/* An envelope written before the marker existed: an item with a known encoding and where its value is. */
+const isUnmarkedEnvelope = function(item) {
+    return !!item && typeof item === 'object' && item[envelopeMarker] === undefined && typeof item.encoding === 'string' && isSupported(item.encoding)
+        && (typeof item.encoded_value === 'string' || item.overflow_id !== undefined);
+}
+
+/* Resolves the value serialized and compressed with encoding, as a base64 string. */
+const encode = function(value, encoding) {
+    return new Promise(function(resolve, reject) {
+        compressions[encoding].compress(Buffer.from(JSON.stringify(value), 'utf8'), function(err, buffer) {
+            return err ? reject(err) : resolve(buffer.toString('base64'));
+        });
+    });
+}
+
+/* Resolves the value from its base64 string. */
+const decode = function(encodedValue, encoding) {
+    return new Promise(function(resolve, reject) {
+        compressions[encoding].decompress(Buffer.from(encodedValue, 'base64'), function(err, buffer) {
+            return err ? reject(err) : resolve(JSON.parse(buffer.toString('utf8')));
+        });
+    });
+}
+
+/* The envelope of an encoded value, to be completed with where the value is. */
+const createEnvelope = function(value, encoding) {
+    const envelope = { [envelopeMarker]: 1, encoding: encoding };
+    plainAttributes.filter(attribute => value[attribute] !== undefined).forEach(function(attribute) {
+        envelope[attribute] = value[attribute];
+    });
+    return envelope;
+}
+
+/* Splits the encoded value in chunks of at most chunkSize characters (base64, so as many bytes). */
+const split = function(encodedValue, chunkSize) {
+    const chunks = [];
+    for (var start = 0; start < encodedValue.length; start += chunkSize) {
+        chunks.push(encodedValue.substring(start, start + chunkSize));
+    }
+    return chunks;
+}
+
+module.exports.envelopeMarker = envelopeMarker;
+module.exports.plainAttributes = plainAttributes;
+module.exports.isSupported = isSupported;
+module.exports.isEnvelope = isEnvelope;
+module.exports.isUnmarkedEnvelope = isUnmarkedEnvelope;
+module.exports.encode = encode;
+module.exports.decode = decode;
+module.exports.createEnvelope = createEnvelope;
+module.exports.split = split;
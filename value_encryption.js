@@ -0,0 +1,117 @@
+/* Copyright (C) Julien Dollon - All Rights Reserved
+ * Unauthorized use or copying of this file is strictly prohibited
+ * Proprietary and confidential
+ * Written by Julien Dollon <julien@dollon.net>, March 2017
+ */
+/*
+Client-side envelope encryption of the values (see configureEncryption).
+Every value is encrypted (AES-256-GCM) with a data key of its own, and the data key is encrypted by the key provider.
+The envelope of the value (see value_encoding.js) then carries, next to the ciphertext in encoded_value (or in its overflow items):
+{ encryption: 'aes-256-gcm', key_id, encrypted_key, iv, auth_tag }
+key_id is the key of the provider that encrypted the data key, so the keys can be rotated: new values use the new key,
+the provider keeps the old ones to decrypt the values written before. The id of the list is authenticated with the value,
+a value copied into another list does not decrypt.
+
+A key provider is an object exposing (both returning promises, context being { listId }):
+- encryptDataKey(dataKey, context): { keyId, encryptedKey }, the data key (a Buffer) encrypted with the current key for this list
+- decryptDataKey(keyId, encryptedKey, context): the data key as a Buffer
+createLocalKeyProvider encrypts the data keys with keys held in memory (tests, or keys loaded from a secret store).
+A provider backed by a KMS would call it on each value: it should cache the data keys it decrypts, reading a page of 50 values decrypts 50 of them.
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+
+const algorithm = 'aes-256-gcm';
+const dataKeySizeInBytes = 32;
+
+const encryptBuffer = function(key, plaintext, additionalData) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(algorithm, key, iv);
+    if (additionalData !== undefined) {
+        cipher.setAAD(Buffer.from(additionalData, 'utf8'));
+    }
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv: iv.toString('base64'), authTag: cipher.getAuthTag().toString('base64'), ciphertext: ciphertext.toString('base64') };
+}
+
+/* Throws if the ciphertext, the additional data or the key do not match. */
+const decryptBuffer = function(key, encrypted, additionalData) {
+    const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(encrypted.iv, 'base64'));
+    if (additionalData !== undefined) {
+        decipher.setAAD(Buffer.from(additionalData, 'utf8'));
+    }
+    decipher.setAuthTag(Buffer.from(encrypted.authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted.ciphertext, 'base64')), decipher.final()]);
+}
+
+/* keys: { <key id>: 32 bytes key, as a Buffer or a base64 string }
+currentKeyId: the id of the key encrypting the new data keys, or function(listId) returning it (for example a key per tenant). */
+const createLocalKeyProvider = function(keys, currentKeyId) {
+    const getKey = function(keyId) {
+        const key = keys[keyId];
+        if (!key) {
+            throw new Error('Unknown key: ' + keyId);
+        }
+        return Buffer.isBuffer(key) ? key : Buffer.from(key, 'base64');
+    }
+
+    return {
+        encryptDataKey: function(dataKey, context) {
+            return Promise.resolve().then(function() {
+                const keyId = typeof currentKeyId === 'function' ? currentKeyId(context.listId) : currentKeyId;
+                const encrypted = encryptBuffer(getKey(keyId), dataKey);
+                return { keyId: keyId, encryptedKey: [encrypted.iv, encrypted.authTag, encrypted.ciphertext].join('.') };
+            });
+        },
+        decryptDataKey: function(keyId, encryptedKey) {
+            return Promise.resolve().then(function() {
+                const parts = encryptedKey.split('.');
+                return decryptBuffer(getKey(keyId), { iv: parts[0], authTag: parts[1], ciphertext: parts[2] });
+            });
+        }
+    };
+}
+
+const isKeyProvider = function(keyProvider) {
+    return !!keyProvider && typeof keyProvider.encryptDataKey === 'function' && typeof keyProvider.decryptDataKey === 'function';
+}
+
+const isEncrypted = function(envelope) {
+    return envelope.encryption !== undefined;
+}
+
+/* Resolves { attributes, ciphertext }: the encryption attributes of the envelope and the encoded value (base64) encrypted, in base64. */
+const encrypt = function(encodedValue, keyProvider, listId) {
+    const dataKey = crypto.randomBytes(dataKeySizeInBytes);
+    return keyProvider.encryptDataKey(dataKey, { listId: listId }).then(function(encryptedKey) {
+        const encrypted = encryptBuffer(dataKey, Buffer.from(encodedValue, 'base64'), listId);
+        return {
+            attributes: {
+                encryption: algorithm,
+                key_id: encryptedKey.keyId,
+                encrypted_key: encryptedKey.encryptedKey,
+                iv: encrypted.iv,
+                auth_tag: encrypted.authTag
+            },
+            ciphertext: encrypted.ciphertext
+        };
+    });
+}
+
+/* Resolves the encoded value (base64) from its ciphertext, with the attributes of its envelope. */
+const decrypt = function(ciphertext, envelope, keyProvider, listId) {
+    if (envelope.encryption !== algorithm) {
+        return Promise.reject(new Error('Unsupported encryption: ' + envelope.encryption));
+    }
+    return keyProvider.decryptDataKey(envelope.key_id, envelope.encrypted_key, { listId: listId }).then(function(dataKey) {
+        return decryptBuffer(dataKey, { iv: envelope.iv, authTag: envelope.auth_tag, ciphertext: ciphertext }, listId).toString('base64');
+    });
+}
+
+module.exports.createLocalKeyProvider = createLocalKeyProvider;
+module.exports.isKeyProvider = isKeyProvider;
+module.exports.isEncrypted = isEncrypted;
+module.exports.encrypt = encrypt;
+module.exports.decrypt = decrypt;